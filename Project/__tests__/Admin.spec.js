@@ -0,0 +1,412 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const nodemailerStub = require('nodemailer-stub');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Token = require('../src/auth/Token');
+const AuditLog = require('../src/admin/AuditLog');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(async () => {
+  await AuditLog.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const password = 'passworD987654';
+
+const adminUser = {
+  username: 'admin',
+  email: 'admin@mail.com',
+  password,
+  inactive: false,
+  role: 'admin',
+};
+
+const addUser = async (user = {}) => {
+  const hash = await bcrypt.hash(password, 10);
+  return await User.create({
+    username: 'user1',
+    email: 'user1@mail.com',
+    inactive: false,
+    ...user,
+    password: hash,
+  });
+};
+
+const addUsers = async (activeCount, inactiveCount = 0) => {
+  const hash = await bcrypt.hash(password, 10);
+  for (let i = 0; i < activeCount + inactiveCount; i++) {
+    await User.create({
+      username: `user${i + 1}`,
+      email: `user${i + 1}@mail.com`,
+      inactive: i >= activeCount,
+      password: hash,
+    });
+  }
+};
+
+const login = async (email = adminUser.email) => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email, password });
+  return response.body.token;
+};
+
+const loginAsAdmin = async () => {
+  const admin = await addUser(adminUser);
+  const token = await login();
+  return { admin, token };
+};
+
+const withOptions = (agent, options = {}) => {
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent;
+};
+
+const searchUsers = (options = {}) => {
+  return withOptions(request(app).get('/api/1.0/admin/users'), options).query(
+    options.query || {},
+  );
+};
+
+const postAction = (id, action, options = {}) => {
+  return withOptions(
+    request(app).post(`/api/1.0/admin/users/${id}/${action}`),
+    options,
+  ).send();
+};
+
+const deleteUser = (id, options = {}) => {
+  return withOptions(
+    request(app).delete(`/api/1.0/admin/users/${id}`),
+    options,
+  ).send();
+};
+
+const getAuditLogs = (options = {}) => {
+  return withOptions(
+    request(app).get('/api/1.0/admin/audit-logs'),
+    options,
+  ).query(options.query || {});
+};
+
+describe('Admin Authorization', () => {
+  it('returns 401 when request is sent without authentication', async () => {
+    const response = await searchUsers();
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 403 when request is sent by a user without admin role', async () => {
+    await addUser();
+    const token = await login('user1@mail.com');
+    const response = await searchUsers({ token });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para usar las operaciones de administración'}
+    ${'en'}  | ${'You are not authorized to use the admin operations'}
+  `(
+    'returns $message when a non admin user sends request with language $language',
+    async ({ language, message }) => {
+      await addUser();
+      const token = await login('user1@mail.com');
+      const response = await searchUsers({ token, language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns 403 for every admin route when the user is not admin', async () => {
+    const user = await addUser();
+    const token = await login('user1@mail.com');
+    const responses = await Promise.all([
+      postAction(user.id, 'activate', { token }),
+      postAction(user.id, 'deactivate', { token }),
+      postAction(user.id, 'password-reset', { token }),
+      deleteUser(user.id, { token }),
+      getAuditLogs({ token }),
+    ]);
+    expect(responses.map((response) => response.status)).toEqual([
+      403, 403, 403, 403, 403,
+    ]);
+  });
+
+  it('gives a new user the user role', async () => {
+    const user = await addUser();
+    expect(user.role).toBe('user');
+  });
+});
+
+describe('Admin User Search', () => {
+  it('returns inactive users and the admin fields', async () => {
+    const { token } = await loginAsAdmin();
+    await addUsers(1, 1);
+    const response = await searchUsers({ token });
+    expect(response.status).toBe(200);
+    expect(response.body.content.length).toBe(3);
+    expect(Object.keys(response.body.content[0]).sort()).toEqual([
+      'createdAt',
+      'email',
+      'id',
+      'image',
+      'inactive',
+      'role',
+      'username',
+    ]);
+  });
+
+  it('never returns the password or tokens of the users', async () => {
+    const { token } = await loginAsAdmin();
+    const response = await searchUsers({ token });
+    const user = response.body.content[0];
+    expect(user.password).toBeUndefined();
+    expect(user.activationToken).toBeUndefined();
+    expect(user.passwordResetToken).toBeUndefined();
+  });
+
+  it('returns page object with pagination fields', async () => {
+    const { token } = await loginAsAdmin();
+    await addUsers(11);
+    const response = await searchUsers({ token, query: { page: 1 } });
+    expect(response.body.page).toBe(1);
+    expect(response.body.size).toBe(10);
+    expect(response.body.totalPages).toBe(2);
+    expect(response.body.content.length).toBe(2);
+  });
+
+  it('filters users by part of the username', async () => {
+    const { token } = await loginAsAdmin();
+    await addUsers(12);
+    const response = await searchUsers({ token, query: { username: 'er1' } });
+    expect(response.body.content.map((user) => user.username)).toEqual([
+      'user1',
+      'user10',
+      'user11',
+      'user12',
+    ]);
+  });
+
+  it('filters users by part of the e-mail', async () => {
+    const { token } = await loginAsAdmin();
+    await addUsers(3);
+    const response = await searchUsers({
+      token,
+      query: { email: 'user2@' },
+    });
+    expect(response.body.content.map((user) => user.email)).toEqual([
+      'user2@mail.com',
+    ]);
+  });
+
+  it.each`
+    inactive   | count
+    ${'true'}  | ${2}
+    ${'false'} | ${4}
+  `(
+    'returns $count users when inactive filter is $inactive',
+    async ({ inactive, count }) => {
+      const { token } = await loginAsAdmin();
+      await addUsers(3, 2);
+      const response = await searchUsers({ token, query: { inactive } });
+      expect(response.body.content.length).toBe(count);
+    },
+  );
+
+  it('filters users by creation date', async () => {
+    const { token } = await loginAsAdmin();
+    await addUser();
+    await User.update(
+      { createdAt: new Date('2020-01-15T00:00:00Z') },
+      { where: { username: 'user1' }, silent: true },
+    );
+    const inRange = await searchUsers({
+      token,
+      query: { createdAfter: '2020-01-01', createdBefore: '2020-02-01' },
+    });
+    expect(inRange.body.content.map((user) => user.username)).toEqual([
+      'user1',
+    ]);
+    const afterRange = await searchUsers({
+      token,
+      query: { createdAfter: '2020-02-01' },
+    });
+    expect(afterRange.body.content.map((user) => user.username)).toEqual([
+      'admin',
+    ]);
+  });
+
+  it.each`
+    field              | value           | message
+    ${'inactive'}      | ${'maybe'}      | ${'Inactive must be true or false'}
+    ${'createdAfter'}  | ${'today'}      | ${'Date must be in ISO 8601 format'}
+    ${'createdBefore'} | ${'2020-13-01'} | ${'Date must be in ISO 8601 format'}
+  `(
+    'returns $message when $field is $value',
+    async ({ field, value, message }) => {
+      const { token } = await loginAsAdmin();
+      const response = await searchUsers({ token, query: { [field]: value } });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[field]).toBe(message);
+    },
+  );
+});
+
+describe('Admin Activation', () => {
+  it('activates an inactive user', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser({ inactive: true, activationToken: 'abcd' });
+    const response = await postAction(user.id, 'activate', { token });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('User is activated');
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.inactive).toBe(false);
+    expect(userInDB.activationToken).toBeNull();
+  });
+
+  it('deactivates an active user and closes the sessions', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser();
+    await login('user1@mail.com');
+    const response = await postAction(user.id, 'deactivate', { token });
+    expect(response.status).toBe(200);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.inactive).toBe(true);
+    const tokenCount = await Token.count({ where: { userId: user.id } });
+    expect(tokenCount).toBe(0);
+  });
+
+  it('returns 404 when the user does not exist', async () => {
+    const { token } = await loginAsAdmin();
+    const response = await postAction(5000, 'deactivate', { token });
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'Los administradores no pueden realizar esta operación sobre su propia cuenta'}
+    ${'en'}  | ${'Admins cannot run this operation on their own account'}
+  `(
+    'returns 403 with $message when admin deactivates own account with language $language',
+    async ({ language, message }) => {
+      const { admin, token } = await loginAsAdmin();
+      const response = await postAction(admin.id, 'deactivate', {
+        token,
+        language,
+      });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe('Admin Password Reset', () => {
+  it('replaces the password, closes the sessions and sends the reset mail', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser({ language: 'es' });
+    await login('user1@mail.com');
+    const response = await postAction(user.id, 'password-reset', { token });
+    expect(response.status).toBe(200);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.passwordResetToken).toBeTruthy();
+    expect(await bcrypt.compare(password, userInDB.password)).toBe(false);
+    const tokenCount = await Token.count({ where: { userId: user.id } });
+    expect(tokenCount).toBe(0);
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.to[0]).toBe('user1@mail.com');
+    expect(lastMail.subject).toBe('Restablecer contraseña');
+  });
+
+  it('stops the old password from logging in', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser();
+    await postAction(user.id, 'password-reset', { token });
+    const response = await request(app)
+      .post('/api/1.0/auth')
+      .send({ email: 'user1@mail.com', password });
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('Admin Delete', () => {
+  it('deletes the user from database', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser();
+    const response = await deleteUser(user.id, { token });
+    expect(response.status).toBe(200);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB).toBeNull();
+  });
+
+  it('returns 403 when admin deletes own account', async () => {
+    const { admin, token } = await loginAsAdmin();
+    const response = await deleteUser(admin.id, { token });
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Audit Log', () => {
+  it('records the admin, the target and the action', async () => {
+    const { admin, token } = await loginAsAdmin();
+    const user = await addUser({ inactive: true });
+    await postAction(user.id, 'activate', { token });
+    const logs = await AuditLog.findAll();
+    expect(logs.length).toBe(1);
+    expect(logs[0].action).toBe('user_activate');
+    expect(logs[0].adminId).toBe(admin.id);
+    expect(logs[0].targetUserId).toBe(user.id);
+    expect(logs[0].createdAt).toBeTruthy();
+  });
+
+  it('keeps the target user in the details after a hard delete', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser();
+    await deleteUser(user.id, { token });
+    const log = await AuditLog.findOne();
+    expect(log.action).toBe('user_delete');
+    expect(log.details).toEqual({
+      username: 'user1',
+      email: 'user1@mail.com',
+    });
+  });
+
+  it('does not record failed actions', async () => {
+    const { admin, token } = await loginAsAdmin();
+    await deleteUser(admin.id, { token });
+    await postAction(5000, 'activate', { token });
+    const count = await AuditLog.count();
+    expect(count).toBe(0);
+  });
+
+  it('returns the entries newest first with pagination fields', async () => {
+    const { token } = await loginAsAdmin();
+    const user = await addUser();
+    await postAction(user.id, 'deactivate', { token });
+    await postAction(user.id, 'activate', { token });
+    await postAction(user.id, 'password-reset', { token });
+    const response = await getAuditLogs({ token, query: { size: 2 } });
+    expect(response.status).toBe(200);
+    expect(response.body.totalPages).toBe(2);
+    expect(response.body.content.map((log) => log.action)).toEqual([
+      'user_password_reset',
+      'user_activate',
+    ]);
+    expect(Object.keys(response.body.content[0]).sort()).toEqual([
+      'action',
+      'adminId',
+      'createdAt',
+      'details',
+      'id',
+      'targetUserId',
+    ]);
+  });
+});
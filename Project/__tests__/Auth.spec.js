@@ -0,0 +1,246 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Token = require('../src/auth/Token');
+const migrator = require('../src/config/migrator');
+const TokenService = require('../src/auth/TokenService');
+const tokenAuthentication = require('../src/middleware/tokenAuthentication');
+const logger = require('../src/logging/logger');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const postAuthentication = (credentials, options = {}) => {
+  const agent = request(app).post('/api/1.0/auth');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send(credentials);
+};
+
+const postLogout = (options = {}) => {
+  const agent = request(app).post('/api/1.0/logout');
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+const validCredentials = {
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+};
+
+describe('Authentication', () => {
+  it('returns 200 when credentials are correct', async () => {
+    await addUser();
+    const response = await postAuthentication(validCredentials);
+    expect(response.status).toBe(200);
+  });
+
+  it('returns only user id, username, image and token when login succeeds', async () => {
+    const user = await addUser();
+    const response = await postAuthentication(validCredentials);
+    expect(response.body.id).toBe(user.id);
+    expect(response.body.username).toBe(user.username);
+    expect(Object.keys(response.body)).toEqual([
+      'id',
+      'username',
+      'image',
+      'token',
+    ]);
+  });
+
+  it('returns 401 when user does not exist', async () => {
+    const response = await postAuthentication(validCredentials);
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when password is wrong', async () => {
+    await addUser();
+    const response = await postAuthentication({
+      ...validCredentials,
+      password: 'Wrongpassword1',
+    });
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when e-mail is not valid', async () => {
+    const response = await postAuthentication({ password: 'passworD987654' });
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when password is not sent', async () => {
+    await addUser();
+    const response = await postAuthentication({ email: 'user1@mail.com' });
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 when e-mail is not a string', async () => {
+    await addUser();
+    await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const response = await postAuthentication({
+      email: ['user2@mail.com', 'user1@mail.com'],
+      password: 'passworD987654',
+    });
+    expect(response.status).toBe(401);
+    expect(response.body.token).toBeUndefined();
+  });
+
+  it('returns 401 when password is not a string', async () => {
+    await addUser();
+    const response = await postAuthentication({
+      email: 'user1@mail.com',
+      password: ['passworD987654'],
+    });
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 403 when logging in with an inactive account', async () => {
+    await addUser({ ...activeUser, inactive: true });
+    const response = await postAuthentication(validCredentials);
+    expect(response.status).toBe(403);
+  });
+
+  it('does not issue a token for an inactive account', async () => {
+    await addUser({ ...activeUser, inactive: true });
+    const response = await postAuthentication(validCredentials);
+    expect(response.body.token).toBeUndefined();
+  });
+
+  it('stores the issued token in database', async () => {
+    await addUser();
+    const response = await postAuthentication(validCredentials);
+    const tokenInDB = await Token.findOne({
+      where: { token: response.body.token },
+    });
+    expect(tokenInDB).not.toBeNull();
+  });
+
+  it.each`
+    language | status | message
+    ${'en'}  | ${401} | ${'Incorrect credentials'}
+    ${'es'}  | ${401} | ${'Credenciales incorrectas'}
+    ${'en'}  | ${403} | ${'Account is inactive'}
+    ${'es'}  | ${403} | ${'La cuenta está inactiva'}
+  `(
+    'returns $message for status $status when language is $language',
+    async ({ language, status, message }) => {
+      if (status === 403) {
+        await addUser({ ...activeUser, inactive: true });
+      }
+      const response = await postAuthentication(validCredentials, {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe('Logout', () => {
+  it('returns 200 ok when unauthorized request sent for logout', async () => {
+    const response = await postLogout();
+    expect(response.status).toBe(200);
+  });
+
+  it('removes the token from database', async () => {
+    await addUser();
+    const response = await postAuthentication(validCredentials);
+    const token = response.body.token;
+    await postLogout({ token });
+    const tokenInDB = await Token.findOne({ where: { token } });
+    expect(tokenInDB).toBeNull();
+  });
+});
+
+describe('Token verification', () => {
+  const authenticate = async (authorization) => {
+    const req = { headers: { authorization } };
+    await tokenAuthentication(req, {}, () => {});
+    return req;
+  };
+
+  it('attaches the token owner to the request', async () => {
+    const user = await addUser();
+    const token = await TokenService.createToken(user);
+    const req = await authenticate(`Bearer ${token}`);
+    expect(req.authenticatedUser.id).toBe(user.id);
+  });
+
+  it('does not attach a user when the token is unknown', async () => {
+    const req = await authenticate('Bearer unknown-token');
+    expect(req.authenticatedUser).toBeUndefined();
+  });
+
+  it('does not attach a user when the token has expired', async () => {
+    const user = await addUser();
+    const token = await TokenService.createToken(user);
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    await Token.update({ lastUsedAt: eightDaysAgo }, { where: { token } });
+    const req = await authenticate(`Bearer ${token}`);
+    expect(req.authenticatedUser).toBeUndefined();
+  });
+
+  it('refreshes lastUsedAt when the token is used', async () => {
+    const user = await addUser();
+    const token = await TokenService.createToken(user);
+    const fourDaysAgo = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000);
+    await Token.update({ lastUsedAt: fourDaysAgo }, { where: { token } });
+    const rightBeforeVerification = new Date();
+    await authenticate(`Bearer ${token}`);
+    const tokenInDB = await Token.findOne({ where: { token } });
+    expect(tokenInDB.lastUsedAt.getTime()).toBeGreaterThanOrEqual(
+      rightBeforeVerification.getTime(),
+    );
+  });
+
+  it('clears expired tokens from database', async () => {
+    const user = await addUser();
+    const token = await TokenService.createToken(user);
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    await Token.update({ lastUsedAt: eightDaysAgo }, { where: { token } });
+    await TokenService.clearExpiredTokens();
+    const tokenInDB = await Token.findOne({ where: { token } });
+    expect(tokenInDB).toBeNull();
+  });
+
+  it('logs the failure of a scheduled cleanup and keeps running', async () => {
+    jest.useFakeTimers();
+    jest
+      .spyOn(Token, 'destroy')
+      .mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+    const logError = jest.spyOn(logger, 'error');
+    const interval = TokenService.scheduleCleanup();
+    await jest.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+    clearInterval(interval);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(logError).toHaveBeenCalledTimes(2);
+    expect(logError).toHaveBeenCalledWith('token_cleanup_failed', {
+      error: 'SQLITE_BUSY: database is locked',
+    });
+  });
+});
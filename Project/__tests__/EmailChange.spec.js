@@ -0,0 +1,414 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const nodemailerStub = require('nodemailer-stub');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const EmailService = require('../src/email/EmailService');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  nodemailerStub.interactsWithMail.flushMails();
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const credentials = { email: 'user1@mail.com', password: 'passworD987654' };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  return await User.create({ ...user, password: hash });
+};
+
+const postEmailChange = async (id, email, options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post('/api/1.0/auth')
+      .send(options.auth);
+    token = response.body.token;
+  }
+  const agent = request(app).post(`/api/1.0/users/${id}/email`);
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send({ email });
+};
+
+const postConfirmation = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/email/${token}`);
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send();
+};
+
+const mailTo = (email) =>
+  nodemailerStub.interactsWithMail.mails.find((mail) => mail.to[0] === email);
+
+describe('E-mail Change Request', () => {
+  it('returns 403 when the request is sent without authorization', async () => {
+    const user = await addUser();
+    const response = await postEmailChange(user.id, 'new@mail.com');
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para cambiar este e-mail'}
+    ${'en'}  | ${'You are not authorized to change this e-mail'}
+  `(
+    'returns $message when the request is unauthorized and language is $language',
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await postEmailChange(user.id, 'new@mail.com', {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns 403 when the request is sent for another user', async () => {
+    await addUser();
+    const other = await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const response = await postEmailChange(other.id, 'new@mail.com', {
+      auth: credentials,
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 200 with the message when the request is valid', async () => {
+    const user = await addUser();
+    const response = await postEmailChange(user.id, 'new@mail.com', {
+      auth: credentials,
+    });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe(
+      'Please check your new e-mail address to confirm the change',
+    );
+  });
+
+  it('keeps the current e-mail and saves the new one as pending', async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, ' New@Mail.com ', { auth: credentials });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.email).toBe('user1@mail.com');
+    expect(userInDB.pendingEmail).toBe('new@mail.com');
+    expect(userInDB.emailChangeToken).toBeTruthy();
+    expect(userInDB.emailChangeTokenExpiresAt).toBeTruthy();
+  });
+
+  it('keeps login working with the current e-mail while the change is pending', async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+    const response = await request(app).post('/api/1.0/auth').send(credentials);
+    expect(response.status).toBe(200);
+  });
+
+  it('sends the confirmation link to the new e-mail', async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    const mail = mailTo('new@mail.com');
+    expect(mail.contents).toContainEqual(
+      expect.stringContaining(
+        `http://localhost:3000/api/1.0/users/email/${userInDB.emailChangeToken}`,
+      ),
+    );
+  });
+
+  it('sends a notice without the token to the current e-mail', async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    const mail = mailTo('user1@mail.com');
+    expect(mail.subject).toBe('E-mail Change Requested');
+    expect(mail.contents).not.toContainEqual(
+      expect.stringContaining(userInDB.emailChangeToken),
+    );
+  });
+
+  it('links the notice to the password reset request page of the client', async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+    const mail = mailTo('user1@mail.com');
+    expect(mail.contents).toContainEqual(
+      expect.stringContaining('http://localhost:8080/password-reset-request"'),
+    );
+  });
+
+  it.each`
+    language | subject
+    ${'es'}  | ${'Confirma tu nuevo e-mail'}
+    ${'tr'}  | ${'Yeni E-postanızı Onaylayın'}
+  `(
+    'sends the confirmation with subject $subject in the language $language of the user',
+    async ({ language, subject }) => {
+      const user = await addUser({ ...activeUser, language });
+      await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+      expect(mailTo('new@mail.com').subject).toBe(subject);
+    },
+  );
+
+  it('replaces the pending e-mail and the token on a new request', async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+    const first = await User.findOne({ where: { id: user.id } });
+    await postEmailChange(user.id, 'other@mail.com', { auth: credentials });
+    const second = await User.findOne({ where: { id: user.id } });
+    expect(second.pendingEmail).toBe('other@mail.com');
+    expect(second.emailChangeToken).not.toBe(first.emailChangeToken);
+  });
+
+  it.each`
+    email               | message
+    ${null}             | ${'E-mail cannot be null'}
+    ${'mail.com'}       | ${'E-mail is not valid'}
+    ${'User2@mail.com'} | ${'E-mail in use'}
+    ${'user1@mail.com'} | ${'E-mail in use'}
+  `(
+    'returns $message when the new e-mail is $email',
+    async ({ email, message }) => {
+      const user = await addUser();
+      await addUser({
+        ...activeUser,
+        username: 'user2',
+        email: 'user2@mail.com',
+      });
+      const response = await postEmailChange(user.id, email, {
+        auth: credentials,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.email).toBe(message);
+    },
+  );
+
+  it('does not send any e-mail when the new e-mail is in use', async () => {
+    const user = await addUser();
+    await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    await postEmailChange(user.id, 'user2@mail.com', { auth: credentials });
+    expect(nodemailerStub.interactsWithMail.sentMailsCount()).toBe(0);
+  });
+
+  it('returns 500 with the generic message when saving the request fails', async () => {
+    const user = await addUser();
+    const response = await request(app).post('/api/1.0/auth').send(credentials);
+    jest
+      .spyOn(User.prototype, 'save')
+      .mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+    const changeResponse = await request(app)
+      .post(`/api/1.0/users/${user.id}/email`)
+      .set('Authorization', `Bearer ${response.body.token}`)
+      .send({ email: 'new@mail.com' });
+    jest.restoreAllMocks();
+    expect(changeResponse.status).toBe(500);
+    expect(changeResponse.body.message).toBe(
+      'Unexpected error, please try again later',
+    );
+    expect(nodemailerStub.interactsWithMail.sentMailsCount()).toBe(0);
+  });
+
+  describe('when sending the e-mail fails', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('returns 502 with E-mail Failure', async () => {
+      jest
+        .spyOn(EmailService, 'sendEmailChange')
+        .mockRejectedValue({ message: 'Failed to deliver email' });
+      const user = await addUser();
+      const response = await postEmailChange(user.id, 'new@mail.com', {
+        auth: credentials,
+      });
+      expect(response.status).toBe(502);
+      expect(response.body.message).toBe('E-mail Failure');
+    });
+
+    it('does not keep the pending e-mail when the notice cannot be sent', async () => {
+      jest
+        .spyOn(EmailService, 'sendEmailChangeNotice')
+        .mockRejectedValue({ message: 'Failed to deliver email' });
+      const user = await addUser();
+      await postEmailChange(user.id, 'new@mail.com', { auth: credentials });
+      const userInDB = await User.findOne({ where: { id: user.id } });
+      expect(userInDB.pendingEmail).toBeNull();
+      expect(userInDB.emailChangeToken).toBeNull();
+    });
+  });
+});
+
+describe('E-mail Change Confirmation', () => {
+  const requestChange = async (email = 'new@mail.com') => {
+    const user = await addUser();
+    await postEmailChange(user.id, email, { auth: credentials });
+    return await User.findOne({ where: { id: user.id } });
+  };
+
+  it('changes the e-mail when the token is valid', async () => {
+    const user = await requestChange();
+    const response = await postConfirmation(user.emailChangeToken);
+    expect(response.status).toBe(200);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.email).toBe('new@mail.com');
+    expect(userInDB.pendingEmail).toBeNull();
+    expect(userInDB.emailChangeToken).toBeNull();
+    expect(userInDB.emailChangeTokenExpiresAt).toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'El e-mail ha sido cambiado'}
+    ${'tr'}  | ${'E-posta değiştirildi'}
+    ${'en'}  | ${'E-mail is changed'}
+  `(
+    'returns $message when the e-mail is changed and language is $language',
+    async ({ language, message }) => {
+      const user = await requestChange();
+      const response = await postConfirmation(user.emailChangeToken, {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('logs in with the new e-mail after the change', async () => {
+    const user = await requestChange();
+    await postConfirmation(user.emailChangeToken);
+    const oldResponse = await request(app)
+      .post('/api/1.0/auth')
+      .send(credentials);
+    const newResponse = await request(app)
+      .post('/api/1.0/auth')
+      .send({ ...credentials, email: 'new@mail.com' });
+    expect(oldResponse.status).toBe(401);
+    expect(newResponse.status).toBe(200);
+  });
+
+  it('drops the password reset token sent to the previous e-mail', async () => {
+    const user = await requestChange();
+    await request(app)
+      .post('/api/1.0/user/password')
+      .send({ email: 'user1@mail.com' });
+    await postConfirmation(user.emailChangeToken);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.passwordResetToken).toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'Este cambio de e-mail ya está confirmado o el token es inválido'}
+    ${'en'}  | ${'This e-mail change is either confirmed or the token is invalid'}
+  `(
+    'returns 400 with $message when the token is wrong and language is $language',
+    async ({ language, message }) => {
+      await requestChange();
+      const response = await postConfirmation('this-token-does-not-exist', {
+        language,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('changes the e-mail and redirects to the client login when the link is opened', async () => {
+    const user = await requestChange();
+    const response = await request(app).get(
+      `/api/1.0/users/email/${user.emailChangeToken}`,
+    );
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('http://localhost:8080/login');
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.email).toBe('new@mail.com');
+  });
+
+  it('returns 400 with the message when the opened link has a wrong token', async () => {
+    await requestChange();
+    const response = await request(app)
+      .get('/api/1.0/users/email/this-token-does-not-exist')
+      .set('Accept-Language', 'es');
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      'Este cambio de e-mail ya está confirmado o el token es inválido',
+    );
+  });
+
+  it('returns 400 when the token is used a second time', async () => {
+    const user = await requestChange();
+    await postConfirmation(user.emailChangeToken);
+    const response = await postConfirmation(user.emailChangeToken);
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'El token de cambio de e-mail ha caducado, por favor solicita uno nuevo'}
+    ${'en'}  | ${'E-mail change token has expired, please request a new one'}
+  `(
+    'returns 400 with $message when the token has expired and language is $language',
+    async ({ language, message }) => {
+      const user = await requestChange();
+      user.emailChangeTokenExpiresAt = new Date(Date.now() - 1000);
+      await user.save();
+      const response = await postConfirmation(user.emailChangeToken, {
+        language,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+      const userInDB = await User.findOne({ where: { id: user.id } });
+      expect(userInDB.email).toBe('user1@mail.com');
+    },
+  );
+
+  it.each`
+    language | message
+    ${'es'}  | ${'E-mail ya existe'}
+    ${'tr'}  | ${'Bu e-posta kullanılıyor'}
+    ${'en'}  | ${'E-mail in use'}
+  `(
+    'returns 400 with $message when the e-mail was registered in the meantime and language is $language',
+    async ({ language, message }) => {
+      const user = await requestChange();
+      await addUser({
+        ...activeUser,
+        username: 'user2',
+        email: 'new@mail.com',
+      });
+      const response = await postConfirmation(user.emailChangeToken, {
+        language,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.email).toBe(message);
+    },
+  );
+
+  it('keeps the current e-mail and clears the change when the e-mail was taken in the meantime', async () => {
+    const user = await requestChange();
+    await addUser({ ...activeUser, username: 'user2', email: 'new@mail.com' });
+    await postConfirmation(user.emailChangeToken);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.email).toBe('user1@mail.com');
+    expect(userInDB.pendingEmail).toBeNull();
+    expect(userInDB.emailChangeToken).toBeNull();
+  });
+});
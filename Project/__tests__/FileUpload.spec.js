@@ -0,0 +1,316 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Hoax = require('../src/hoax/Hoax');
+const FileAttachment = require('../src/file/FileAttachment');
+const FileService = require('../src/file/FileService');
+const migrator = require('../src/config/migrator');
+const logger = require('../src/logging/logger');
+
+const { uploadDir, attachmentDir } = config.get('uploads');
+const attachmentFolder = path.join('.', uploadDir, attachmentDir);
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(async () => {
+  await FileAttachment.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+  await addUser();
+});
+
+afterAll(() => {
+  const files = fs.readdirSync(attachmentFolder);
+  for (const file of files) {
+    fs.unlinkSync(path.join(attachmentFolder, file));
+  }
+});
+
+const login = async (userCredentials = credentials) => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send(userCredentials);
+  return response.body.token;
+};
+
+// Uploads as user1 unless another user or no authentication is given
+const uploadFile = async (file = 'test-png.png', options = {}) => {
+  const agent = request(app).post('/api/1.0/hoaxes/attachments');
+  if (options.auth !== false) {
+    const token = await login(options.auth);
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.attach(
+    'file',
+    path.join('.', '__tests__', 'resources', file),
+    options.filename,
+  );
+};
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const credentials = { email: 'user1@mail.com', password: 'passworD987654' };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const postHoax = async (body, userCredentials = credentials) => {
+  const token = await login(userCredentials);
+  return request(app)
+    .post('/api/1.0/hoaxes')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+};
+
+describe('Upload File for Hoax', () => {
+  it('returns 200 ok after successful upload', async () => {
+    const response = await uploadFile();
+    expect(response.status).toBe(200);
+  });
+
+  it('saves dynamicFilename, uploadDate and fileType in attachment object', async () => {
+    const beforeSubmit = Date.now();
+    await uploadFile();
+    const attachments = await FileAttachment.findAll();
+    const attachment = attachments[0];
+    expect(attachment.filename).not.toBe('test-png.png');
+    expect(attachment.uploadDate.getTime()).toBeGreaterThanOrEqual(
+      beforeSubmit,
+    );
+    expect(attachment.fileType).toBe('image/png');
+  });
+
+  it('saves file to the attachment folder', async () => {
+    await uploadFile();
+    const attachments = await FileAttachment.findAll();
+    const filePath = path.join(attachmentFolder, attachments[0].filename);
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+
+  it('detects the file type from content instead of the extension', async () => {
+    await uploadFile('test-jpg.jpg', { filename: 'renamed.png' });
+    const attachments = await FileAttachment.findAll();
+    expect(attachments[0].fileType).toBe('image/jpeg');
+    expect(attachments[0].filename.endsWith('.jpg')).toBe(true);
+  });
+
+  it('saves files with unknown type without extension', async () => {
+    await uploadFile('test-txt.txt');
+    const attachments = await FileAttachment.findAll();
+    expect(attachments[0].fileType).toBeNull();
+    expect(attachments[0].filename).not.toContain('.');
+  });
+
+  it('returns the attachment id in response', async () => {
+    const response = await uploadFile();
+    const attachments = await FileAttachment.findAll();
+    expect(Object.keys(response.body)).toEqual(['id']);
+    expect(response.body.id).toBe(attachments[0].id);
+  });
+
+  it('returns 400 when no file is sent', async () => {
+    const token = await login();
+    const response = await request(app)
+      .post('/api/1.0/hoaxes/attachments')
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para subir archivos'}
+    ${'en'}  | ${'You are not authorized to upload attachments'}
+  `(
+    'returns 401 with $message when the upload is not authenticated and language is $language',
+    async ({ language, message }) => {
+      const response = await uploadFile('test-png.png', {
+        auth: false,
+        language,
+      });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+      expect(await FileAttachment.count()).toBe(0);
+    },
+  );
+
+  it('saves the uploader as the owner of the attachment', async () => {
+    const response = await uploadFile();
+    const user = await User.findOne();
+    const attachment = await FileAttachment.findOne({
+      where: { id: response.body.id },
+    });
+    expect(attachment.userId).toBe(user.id);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Uploaded file cannot be bigger than 5MB'}
+    ${'es'}  | ${'El archivo no puede superar los 5MB'}
+  `(
+    'returns 400 with $message when uploaded file size is bigger than the limit and language is $language',
+    async ({ language, message }) => {
+      const limit = config.get('uploads.attachmentMaxSizeInBytes');
+      const filePath = path.join('.', '__tests__', 'resources', 'random-file');
+      fs.writeFileSync(filePath, 'a'.repeat(limit + 1));
+      const response = await uploadFile('random-file', { language });
+      fs.unlinkSync(filePath);
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('serves the uploaded file under /attachments with cache headers', async () => {
+    await uploadFile();
+    const attachments = await FileAttachment.findAll();
+    const response = await request(app).get(
+      '/attachments/' + attachments[0].filename,
+    );
+    expect(response.status).toBe(200);
+    expect(response.headers['cache-control']).toBe('public, max-age=31536000');
+  });
+});
+
+describe('Hoax with attachment', () => {
+  it('associates the uploaded file with the submitted hoax', async () => {
+    const uploadResponse = await uploadFile();
+    await postHoax({
+      content: 'Hoax content',
+      fileAttachment: uploadResponse.body.id,
+    });
+    const hoaxes = await Hoax.findAll();
+    const attachment = await FileAttachment.findOne({
+      where: { id: uploadResponse.body.id },
+    });
+    expect(attachment.hoaxId).toBe(hoaxes[0].id);
+  });
+
+  it('does not link the attachment uploaded by another user', async () => {
+    await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const uploadResponse = await uploadFile();
+    await postHoax(
+      { content: 'Hoax content', fileAttachment: uploadResponse.body.id },
+      { ...credentials, email: 'user2@mail.com' },
+    );
+    const attachment = await FileAttachment.findOne({
+      where: { id: uploadResponse.body.id },
+    });
+    expect(await Hoax.count()).toBe(1);
+    expect(attachment.hoaxId).toBeNull();
+  });
+
+  it('does not move an attachment already linked to another hoax', async () => {
+    const uploadResponse = await uploadFile();
+    const body = {
+      content: 'Hoax content',
+      fileAttachment: uploadResponse.body.id,
+    };
+    await postHoax(body);
+    await postHoax(body);
+    const hoaxes = await Hoax.findAll({ order: [['id', 'ASC']] });
+    const attachment = await FileAttachment.findOne({
+      where: { id: uploadResponse.body.id },
+    });
+    expect(attachment.hoaxId).toBe(hoaxes[0].id);
+  });
+
+  it('returns filename and fileType of the attachment in hoax listing', async () => {
+    const uploadResponse = await uploadFile();
+    await postHoax({
+      content: 'Hoax content',
+      fileAttachment: uploadResponse.body.id,
+    });
+    const response = await request(app).get('/api/1.0/hoaxes');
+    const fileAttachment = response.body.content[0].fileAttachment;
+    expect(Object.keys(fileAttachment)).toEqual(['filename', 'fileType']);
+  });
+
+  it('removes the attachment file when the hoax is deleted', async () => {
+    const uploadResponse = await uploadFile();
+    await postHoax({
+      content: 'Hoax content',
+      fileAttachment: uploadResponse.body.id,
+    });
+    const attachment = await FileAttachment.findOne({
+      where: { id: uploadResponse.body.id },
+    });
+    const hoax = await Hoax.findOne();
+    const auth = await request(app).post('/api/1.0/auth').send(credentials);
+    await request(app)
+      .delete('/api/1.0/hoaxes/' + hoax.id)
+      .set('Authorization', `Bearer ${auth.body.token}`);
+    const filePath = path.join(attachmentFolder, attachment.filename);
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(await FileAttachment.count()).toBe(0);
+  });
+});
+
+describe('Unused attachment cleanup', () => {
+  const twoDaysAgo = () => new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+  it('removes old attachments that are not linked to a hoax', async () => {
+    const { body } = await uploadFile();
+    await FileAttachment.update(
+      { uploadDate: twoDaysAgo() },
+      { where: { id: body.id } },
+    );
+    const attachment = await FileAttachment.findOne({ where: { id: body.id } });
+    await FileService.removeUnusedAttachments();
+    const filePath = path.join(attachmentFolder, attachment.filename);
+    expect(await FileAttachment.count()).toBe(0);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('keeps recent attachments that are not linked yet', async () => {
+    await uploadFile();
+    await FileService.removeUnusedAttachments();
+    expect(await FileAttachment.count()).toBe(1);
+  });
+
+  it('keeps old attachments linked to a hoax', async () => {
+    const { body } = await uploadFile();
+    await postHoax({ content: 'Hoax content', fileAttachment: body.id });
+    await FileAttachment.update(
+      { uploadDate: twoDaysAgo() },
+      { where: { id: body.id } },
+    );
+    await FileService.removeUnusedAttachments();
+    expect(await FileAttachment.count()).toBe(1);
+  });
+
+  it('logs the failure of a scheduled cleanup and keeps running', async () => {
+    jest.useFakeTimers();
+    jest
+      .spyOn(FileAttachment, 'findAll')
+      .mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+    const logError = jest.spyOn(logger, 'error');
+    const interval = FileService.scheduleCleanup();
+    await jest.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+    clearInterval(interval);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    expect(logError).toHaveBeenCalledTimes(2);
+    expect(logError).toHaveBeenCalledWith('attachment_cleanup_failed', {
+      error: 'SQLITE_BUSY: database is locked',
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Follow = require('../src/follow/Follow');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const password = 'passworD987654';
+
+const addUser = async (index, inactive = false) => {
+  const hash = await bcrypt.hash(password, 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive,
+  });
+};
+
+const login = async (email = 'user1@mail.com') => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email, password });
+  return response.body.token;
+};
+
+const follow = (id, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/${id}/follow`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send();
+};
+
+const unfollow = (id, options = {}) => {
+  const agent = request(app).delete(`/api/1.0/users/${id}/follow`);
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+describe('Follow', () => {
+  it('returns 401 when request is sent without authentication', async () => {
+    const user = await addUser(2);
+    const response = await follow(user.id);
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para seguir a usuarios'}
+    ${'en'}  | ${'You are not authorized to follow users'}
+  `(
+    'returns $message for unauthenticated request when language is $language',
+    async ({ language, message }) => {
+      const response = await follow(5, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('saves the follow when an authenticated user follows an active user', async () => {
+    const follower = await addUser(1);
+    const followed = await addUser(2);
+    const token = await login();
+    const response = await follow(followed.id, { token });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('User followed');
+    const follows = await Follow.findAll();
+    expect(follows.length).toBe(1);
+    expect(follows[0].followerId).toBe(follower.id);
+    expect(follows[0].followedId).toBe(followed.id);
+  });
+
+  it('keeps one follow when the same user is followed twice', async () => {
+    await addUser(1);
+    const followed = await addUser(2);
+    const token = await login();
+    await follow(followed.id, { token });
+    const response = await follow(followed.id, { token });
+    expect(response.status).toBe(200);
+    const count = await Follow.count();
+    expect(count).toBe(1);
+  });
+
+  it('returns 404 when the followed user is inactive or does not exist', async () => {
+    await addUser(1);
+    const inactive = await addUser(2, true);
+    const token = await login();
+    const inactiveResponse = await follow(inactive.id, { token });
+    const unknownResponse = await follow(5000, { token });
+    expect(inactiveResponse.status).toBe(404);
+    expect(unknownResponse.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No puedes seguirte a ti mismo'}
+    ${'en'}  | ${'You cannot follow yourself'}
+  `(
+    'returns 403 with $message when user follows itself and language is $language',
+    async ({ language, message }) => {
+      const user = await addUser(1);
+      const token = await login();
+      const response = await follow(user.id, { token, language });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('removes the follow when the user unfollows', async () => {
+    await addUser(1);
+    const followed = await addUser(2);
+    const token = await login();
+    await follow(followed.id, { token });
+    const response = await unfollow(followed.id, { token });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('User unfollowed');
+    const count = await Follow.count();
+    expect(count).toBe(0);
+  });
+
+  it('returns 401 when unfollow is sent without authentication', async () => {
+    const response = await unfollow(5);
+    expect(response.status).toBe(401);
+  });
+
+  it('removes the follows of a deleted user', async () => {
+    const user = await addUser(1);
+    const followed = await addUser(2);
+    const token = await login();
+    await follow(followed.id, { token });
+    await request(app)
+      .delete('/api/1.0/users/' + user.id)
+      .set('Authorization', `Bearer ${token}`);
+    const count = await Follow.count();
+    expect(count).toBe(0);
+  });
+});
+
+describe('Follow Counts and Lists', () => {
+  // user1 is followed by every other user and follows user2 back
+  const addFollowers = async (count) => {
+    const user = await addUser(1);
+    for (let i = 2; i <= count + 1; i++) {
+      const follower = await addUser(i);
+      await Follow.create({ followerId: follower.id, followedId: user.id });
+    }
+    const user2 = await User.findOne({ where: { username: 'user2' } });
+    await Follow.create({ followerId: user.id, followedId: user2.id });
+    return user;
+  };
+
+  it('returns the follow counts in the user detail', async () => {
+    const user = await addFollowers(3);
+    const response = await request(app).get('/api/1.0/users/' + user.id);
+    expect(response.body.followerCount).toBe(3);
+    expect(response.body.followingCount).toBe(1);
+  });
+
+  it('leaves inactive users out of the counts', async () => {
+    const user = await addFollowers(3);
+    await User.update({ inactive: true }, { where: { username: 'user3' } });
+    const response = await request(app).get('/api/1.0/users/' + user.id);
+    expect(response.body.followerCount).toBe(2);
+  });
+
+  it('returns the followers as a page of public user fields', async () => {
+    const user = await addFollowers(11);
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/followers`,
+    );
+    expect(response.status).toBe(200);
+    expect(response.body.content.length).toBe(10);
+    expect(response.body.totalPages).toBe(2);
+    expect(Object.keys(response.body.content[0])).toEqual([
+      'id',
+      'username',
+      'image',
+    ]);
+  });
+
+  it('returns the latest followers first', async () => {
+    const user = await addFollowers(3);
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/followers`,
+    );
+    expect(response.body.content.map((follower) => follower.username)).toEqual([
+      'user4',
+      'user3',
+      'user2',
+    ]);
+  });
+
+  it('returns the followed users', async () => {
+    const user = await addFollowers(2);
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/following`,
+    );
+    expect(response.body.content.map((followed) => followed.username)).toEqual([
+      'user2',
+    ]);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it('returns 404 for the lists of an inactive user', async () => {
+    const user = await addUser(1, true);
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/followers`,
+    );
+    expect(response.status).toBe(404);
+  });
+});
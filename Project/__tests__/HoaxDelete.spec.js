@@ -0,0 +1,109 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Hoax = require('../src/hoax/Hoax');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const credentials = { email: 'user1@mail.com', password: 'passworD987654' };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const addHoax = async (userId) => {
+  return await Hoax.create({
+    content: 'Hoax for deleting',
+    timestamp: Date.now(),
+    userId: userId,
+  });
+};
+
+const deleteHoax = async (id = 5, options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post('/api/1.0/auth')
+      .send(options.auth);
+    token = response.body.token;
+  }
+  const agent = request(app).delete('/api/1.0/hoaxes/' + id);
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+describe('Delete Hoax', () => {
+  it('returns 403 when request is unauthorized', async () => {
+    const response = await deleteHoax();
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para eliminar este hoax'}
+    ${'en'}  | ${'You are not authorized to delete this hoax'}
+  `(
+    'returns error body with $message for unauthorized request when language is $language',
+    async ({ language, message }) => {
+      const response = await deleteHoax(5, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns 403 when user tries to delete another users hoax', async () => {
+    await addUser();
+    const otherUser = await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const hoax = await addHoax(otherUser.id);
+    const response = await deleteHoax(hoax.id, { auth: credentials });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 200 ok when user deletes their own hoax', async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const response = await deleteHoax(hoax.id, { auth: credentials });
+    expect(response.status).toBe(200);
+  });
+
+  it('removes the hoax from database when user deletes their own hoax', async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await deleteHoax(hoax.id, { auth: credentials });
+    const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+    expect(hoaxInDB).toBeNull();
+  });
+
+  it('removes the hoaxes of a user when the user is deleted', async () => {
+    const user = await addUser();
+    await addHoax(user.id);
+    await user.destroy();
+    const hoaxes = await Hoax.findAll();
+    expect(hoaxes.length).toBe(0);
+  });
+});
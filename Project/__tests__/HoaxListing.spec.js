@@ -0,0 +1,146 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Hoax = require('../src/hoax/Hoax');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+// Each hoax belongs to a different user, so the ownership of the listing can be checked
+const addHoaxes = async (count) => {
+  const hoaxIds = [];
+  for (let i = 0; i < count; i++) {
+    const user = await User.create({
+      username: `user${i + 1}`,
+      email: `user${i + 1}@mail.com`,
+      inactive: false,
+    });
+    const hoax = await Hoax.create({
+      content: `hoax content ${i + 1}`,
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    hoaxIds.push(hoax.id);
+  }
+  return hoaxIds;
+};
+
+describe('Listing All Hoaxes', () => {
+  const getHoaxes = () => request(app).get('/api/1.0/hoaxes');
+
+  it('returns 200 ok when there are no hoaxes in database', async () => {
+    const response = await getHoaxes();
+    expect(response.status).toBe(200);
+  });
+
+  it('returns page object as response body', async () => {
+    const response = await getHoaxes();
+    expect(response.body).toEqual({
+      content: [],
+      page: 0,
+      size: 10,
+      totalPages: 0,
+    });
+  });
+
+  it('returns 10 hoaxes in page content when there are 11 hoaxes in database', async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes();
+    expect(response.body.content.length).toBe(10);
+    expect(response.body.totalPages).toBe(2);
+  });
+
+  it('returns only id, content, timestamp, public user info and attachment', async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes();
+    const hoax = response.body.content[0];
+    expect(Object.keys(hoax)).toEqual([
+      'id',
+      'content',
+      'timestamp',
+      'user',
+      'fileAttachment',
+    ]);
+    expect(Object.keys(hoax.user)).toEqual(['id', 'username', 'image']);
+  });
+
+  it('returns hoaxes ordered from new to old', async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes();
+    const firstHoax = response.body.content[0];
+    const lastHoax = response.body.content[9];
+    expect(firstHoax.id).toBeGreaterThan(lastHoax.id);
+  });
+
+  it('returns second page hoaxes when page is set as 1', async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes().query({ page: 1 });
+    expect(response.body.content[0].content).toBe('hoax content 1');
+    expect(response.body.page).toBe(1);
+  });
+
+  it('returns 5 hoaxes when size is set as 5', async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes().query({ size: 5 });
+    expect(response.body.content.length).toBe(5);
+    expect(response.body.size).toBe(5);
+  });
+});
+
+describe('Listing Hoaxes of a User', () => {
+  const getHoaxes = (id, options = {}) => {
+    const agent = request(app).get(`/api/1.0/users/${id}/hoaxes`);
+    if (options.language) {
+      agent.set('Accept-Language', options.language);
+    }
+    return agent;
+  };
+
+  it('returns 200 ok when there are no hoaxes of the user', async () => {
+    const user = await User.create({
+      username: 'user1',
+      email: 'user1@mail.com',
+      inactive: false,
+    });
+    const response = await getHoaxes(user.id);
+    expect(response.status).toBe(200);
+  });
+
+  it('returns 404 when user does not exist', async () => {
+    const response = await getHoaxes(5);
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'Usuario no encontrado'}
+    ${'en'}  | ${'User not found'}
+  `(
+    'returns $message for unknown user when language is $language',
+    async ({ language, message }) => {
+      const response = await getHoaxes(5, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns only the hoaxes of the requested user', async () => {
+    await addHoaxes(5);
+    const user = await User.findOne({ where: { username: 'user3' } });
+    await Hoax.create({
+      content: 'another hoax of user3',
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const response = await getHoaxes(user.id);
+    expect(response.body.content.length).toBe(2);
+    expect(
+      response.body.content.every((hoax) => hoax.user.id === user.id),
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Hoax = require('../src/hoax/Hoax');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const credentials = { email: 'user1@mail.com', password: 'passworD987654' };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const postHoax = async (body = null, options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post('/api/1.0/auth')
+      .send(options.auth);
+    token = response.body.token;
+  }
+  const agent = request(app).post('/api/1.0/hoaxes');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+describe('Post Hoax', () => {
+  it('returns 401 when hoax post request has no authentication', async () => {
+    const response = await postHoax();
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para publicar un hoax'}
+    ${'en'}  | ${'You are not authorized to post hoax'}
+  `(
+    'returns error body with $message when unauthorized request sent with language $language',
+    async ({ language, message }) => {
+      const response = await postHoax(null, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns 200 when valid hoax submitted with authorized user', async () => {
+    await addUser();
+    const response = await postHoax(
+      { content: 'Hoax content' },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+  });
+
+  it('saves the hoax to database with timestamp and owner when authorized user sends valid request', async () => {
+    const user = await addUser();
+    const beforeSubmit = Date.now();
+    await postHoax({ content: 'Hoax content' }, { auth: credentials });
+    const hoaxes = await Hoax.findAll();
+    expect(hoaxes.length).toBe(1);
+    expect(hoaxes[0].content).toBe('Hoax content');
+    expect(hoaxes[0].userId).toBe(user.id);
+    expect(Number(hoaxes[0].timestamp)).toBeGreaterThanOrEqual(beforeSubmit);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'Hoax guardado'}
+    ${'en'}  | ${'Hoax is saved'}
+  `(
+    'returns $message to success submit when language is $language',
+    async ({ language, message }) => {
+      await addUser();
+      const response = await postHoax(
+        { content: 'Hoax content' },
+        { auth: credentials, language },
+      );
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | content             | contentForDescription | message
+    ${'es'}  | ${null}             | ${'null'}             | ${'El hoax tiene que tener mínimo 10 y máximo 5000 caracteres'}
+    ${'es'}  | ${'a'.repeat(9)}    | ${'short'}            | ${'El hoax tiene que tener mínimo 10 y máximo 5000 caracteres'}
+    ${'es'}  | ${'a'.repeat(5001)} | ${'very long'}        | ${'El hoax tiene que tener mínimo 10 y máximo 5000 caracteres'}
+    ${'en'}  | ${null}             | ${'null'}             | ${'Hoax must be min 10 and max 5000 characters'}
+    ${'en'}  | ${'a'.repeat(9)}    | ${'short'}            | ${'Hoax must be min 10 and max 5000 characters'}
+    ${'en'}  | ${'a'.repeat(5001)} | ${'very long'}        | ${'Hoax must be min 10 and max 5000 characters'}
+    ${'es'}  | ${['a'.repeat(12)]} | ${'an array'}         | ${'El hoax tiene que ser texto'}
+    ${'en'}  | ${['a'.repeat(12)]} | ${'an array'}         | ${'Hoax must be text'}
+  `(
+    'returns 400 and $message when hoax content is $contentForDescription and language is $language',
+    async ({ language, content, message }) => {
+      await addUser();
+      const response = await postHoax(
+        { content },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.content).toBe(message);
+    },
+  );
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const fs = require('fs');
+const path = require('path');
+const nodemailerStub = require('nodemailer-stub');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const migrator = require('../src/config/migrator');
+const LanguageService = require('../src/language/LanguageService');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+};
+
+const postUser = (user = validUser, options = {}) => {
+  const agent = request(app).post('/api/1.0/users');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send(user);
+};
+
+const addActiveUser = async (language = 'en') => {
+  const hash = await bcrypt.hash(validUser.password, 10);
+  return await User.create({
+    ...validUser,
+    password: hash,
+    inactive: false,
+    language,
+  });
+};
+
+const login = async () => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email: validUser.email, password: validUser.password });
+  return response.body.token;
+};
+
+describe('Supported languages', () => {
+  it('discovers the supported languages from the locales folder', () => {
+    const folders = fs
+      .readdirSync(path.join('.', 'locales'))
+      .filter((name) => !name.includes('.'));
+    expect(LanguageService.getSupportedLanguages()).toEqual(folders.sort());
+  });
+
+  it('returns the supported languages with their names', async () => {
+    const response = await request(app).get('/api/1.0/languages');
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([
+      { language: 'en', name: 'English' },
+      { language: 'es', name: 'Español' },
+      { language: 'tr', name: 'Türkçe' },
+    ]);
+  });
+
+  it('has every key of the english translation in each locale', () => {
+    expect(LanguageService.findMissingKeys()).toEqual({});
+  });
+});
+
+describe('Turkish translation', () => {
+  it.each`
+    field         | value             | message
+    ${'username'} | ${null}           | ${'Kullanıcı adı boş olamaz'}
+    ${'email'}    | ${'mail.com'}     | ${'E-posta geçerli değil'}
+    ${'password'} | ${'alllowercase'} | ${'Şifrede en az bir büyük harf, bir küçük harf ve bir rakam olmalıdır'}
+  `(
+    'returns $message when $field is $value and language is tr',
+    async ({ field, value, message }) => {
+      const user = { ...validUser, [field]: value };
+      const response = await postUser(user, { language: 'tr' });
+      expect(response.body.validationErrors[field]).toBe(message);
+    },
+  );
+
+  it('returns the success message in Turkish', async () => {
+    const response = await postUser(validUser, { language: 'tr' });
+    expect(response.body.message).toBe('Kullanıcı oluşturuldu');
+  });
+});
+
+describe('User language', () => {
+  it('saves the language of the registration request', async () => {
+    await postUser(validUser, { language: 'es' });
+    const user = await User.findOne();
+    expect(user.language).toBe('es');
+  });
+
+  it('saves the language of a regional variant of a supported language', async () => {
+    const response = await postUser(validUser, { language: 'es-ES' });
+    const user = await User.findOne();
+    expect(response.body.message).toBe('Usuario creado');
+    expect(user.language).toBe('es');
+  });
+
+  it('saves english when the requested language is not supported', async () => {
+    await postUser(validUser, { language: 'fr' });
+    const user = await User.findOne();
+    expect(user.language).toBe('en');
+  });
+
+  it('sends the activation e-mail in the language of the user', async () => {
+    await postUser(validUser, { language: 'tr' });
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.subject).toBe('Hesap Aktivasyonu');
+  });
+
+  it('answers in the saved language when an authenticated request has no Accept-Language', async () => {
+    await addActiveUser('es');
+    const token = await login();
+    const response = await request(app)
+      .get('/api/1.0/users/12345')
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.body.message).toBe('Usuario no encontrado');
+  });
+
+  it('prefers Accept-Language over the saved language', async () => {
+    await addActiveUser('es');
+    const token = await login();
+    const response = await request(app)
+      .get('/api/1.0/users/12345')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Accept-Language', 'tr');
+    expect(response.body.message).toBe('Kullanıcı bulunamadı');
+  });
+
+  it('updates the language of the user', async () => {
+    const user = await addActiveUser();
+    const token = await login();
+    await request(app)
+      .put('/api/1.0/users/' + user.id)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'user1', language: 'tr' });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.language).toBe('tr');
+  });
+
+  it.each`
+    language
+    ${'fr'}
+    ${['tr']}
+  `(
+    'returns validation error when the new language is $language',
+    async ({ language }) => {
+      const user = await addActiveUser();
+      const token = await login();
+      const response = await request(app)
+        .put('/api/1.0/users/' + user.id)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ username: 'user1', language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.language).toBe(
+        'Language is not supported',
+      );
+    },
+  );
+});
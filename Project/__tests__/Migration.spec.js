@@ -0,0 +1,111 @@
+const migrator = require('../src/config/migrator');
+const sequelize = require('../src/config/database');
+// Requiring User registers every model through its associations
+const User = require('../src/user/User');
+const Token = require('../src/auth/Token');
+const Hoax = require('../src/hoax/Hoax');
+const FileAttachment = require('../src/file/FileAttachment');
+
+const queryInterface = sequelize.getQueryInterface();
+
+const countRows = async (table) => {
+  const [[{ count }]] = await sequelize.query(
+    `SELECT COUNT(*) AS count FROM ${table}`,
+  );
+  return count;
+};
+
+afterEach(() => {
+  return migrator.up();
+});
+
+describe('Migrations', () => {
+  it('applies every pending migration', async () => {
+    await migrator.up();
+    const pending = await migrator.pending();
+    expect(pending.length).toBe(0);
+  });
+
+  it('records the applied migrations in the SequelizeMeta table', async () => {
+    await migrator.up();
+    const executed = await migrator.executed();
+    expect(executed[0].name).toBe('20240401000000-create-user.js');
+  });
+
+  it('creates a table with every attribute of each model', async () => {
+    await migrator.up();
+    const models = Object.values(sequelize.models).filter(
+      (model) => model.name !== 'SequelizeMeta',
+    );
+    for (const model of models) {
+      const table = await queryInterface.describeTable(model.getTableName());
+      expect(Object.keys(table).sort()).toEqual(
+        Object.keys(model.rawAttributes).sort(),
+      );
+    }
+  });
+
+  it('removes all tables when every migration is rolled back', async () => {
+    await migrator.up();
+    await migrator.down({ to: 0 });
+    const tables = await queryInterface.showAllTables();
+    expect(tables).toEqual(['SequelizeMeta']);
+  });
+
+  // SQLite removes a column by copying the table and dropping the old one, the drop must not cascade to the dependent rows
+  it.each`
+    to
+    ${'20240401000900-add-user-email-change.js'}
+    ${'20240401000600-add-user-role-and-audit-log.js'}
+    ${'20240401000500-add-user-language.js'}
+    ${'20240401000400-add-user-lockout.js'}
+  `(
+    'keeps the rows of the dependent tables when rolling back to $to',
+    async ({ to }) => {
+      await migrator.up();
+      await User.destroy({ truncate: { cascade: true } });
+      const user = await User.create({
+        username: 'user1',
+        email: 'user1@mail.com',
+      });
+      await Token.create({
+        token: 'token',
+        userId: user.id,
+        lastUsedAt: new Date(),
+      });
+      const hoax = await Hoax.create({
+        content: 'Hoax content',
+        timestamp: Date.now(),
+        userId: user.id,
+      });
+      await FileAttachment.create({
+        filename: 'file',
+        uploadDate: new Date(),
+        hoaxId: hoax.id,
+      });
+      const before = {
+        users: await countRows('users'),
+        tokens: await countRows('tokens'),
+        hoaxes: await countRows('hoaxes'),
+        fileAttachments: await countRows('fileAttachments'),
+      };
+      await migrator.down({ to });
+      const after = {
+        users: await countRows('users'),
+        tokens: await countRows('tokens'),
+        hoaxes: await countRows('hoaxes'),
+        fileAttachments: await countRows('fileAttachments'),
+      };
+      expect(after).toEqual(before);
+    },
+  );
+
+  it('rolls back only the last migration by default', async () => {
+    await migrator.up();
+    const executed = await migrator.executed();
+    const lastMigration = executed[executed.length - 1].name;
+    await migrator.down();
+    const pending = await migrator.pending();
+    expect(pending.map((migration) => migration.name)).toEqual([lastMigration]);
+  });
+});
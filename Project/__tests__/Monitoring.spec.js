@@ -0,0 +1,227 @@
+// Every query counts as slow and the info lines are written for this file only, the other test files keep the silent logger of config/test.json
+process.env.NODE_CONFIG = JSON.stringify({
+  logging: { level: 'info', slowQueryThresholdInMs: 0 },
+});
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const UserService = require('../src/user/UserService');
+const sequelize = require('../src/config/database');
+const migrator = require('../src/config/migrator');
+const logger = require('../src/logging/logger');
+const metrics = require('../src/metrics/metrics');
+
+let lines = [];
+
+const collectLines = (line) => lines.push(JSON.parse(line));
+
+// The output is set before the migrations, otherwise their slow queries would be printed on stdout
+beforeAll(() => {
+  logger.useOutput(collectLines);
+  return migrator.up();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+  lines = [];
+  metrics.reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const logsWithMessage = (message) =>
+  lines.filter((line) => line.message === message);
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+};
+
+describe('Request Id', () => {
+  it('returns a generated X-Request-Id header', async () => {
+    const response = await request(app).get('/api/1.0/users');
+    expect(response.headers['x-request-id']).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+    );
+  });
+
+  it('returns a different id for each request', async () => {
+    const first = await request(app).get('/api/1.0/users');
+    const second = await request(app).get('/api/1.0/users');
+    expect(first.headers['x-request-id']).not.toBe(
+      second.headers['x-request-id'],
+    );
+  });
+
+  it('keeps the id sent by the client', async () => {
+    const response = await request(app)
+      .get('/api/1.0/users')
+      .set('X-Request-Id', 'proxy-id_123');
+    expect(response.headers['x-request-id']).toBe('proxy-id_123');
+  });
+
+  it.each`
+    case                   | id
+    ${'has spaces'}        | ${'an id'}
+    ${'is longer than 64'} | ${'a'.repeat(65)}
+    ${'has special chars'} | ${'id;drop'}
+  `('replaces the id sent by the client when it $case', async ({ id }) => {
+    const response = await request(app)
+      .get('/api/1.0/users')
+      .set('X-Request-Id', id);
+    expect(response.headers['x-request-id']).not.toBe(id);
+  });
+});
+
+describe('Request Logging', () => {
+  it('writes one JSON line per request with the route and the request id', async () => {
+    const response = await request(app).get('/api/1.0/users/5');
+    const [log] = logsWithMessage('request');
+    expect(log).toMatchObject({
+      level: 'info',
+      requestId: response.headers['x-request-id'],
+      method: 'GET',
+      route: '/api/1.0/users/:id',
+      status: 404,
+    });
+    expect(typeof log.durationMs).toBe('number');
+    expect(new Date(log.timestamp).getTime()).not.toBeNaN();
+  });
+
+  it.each`
+    url                                    | route
+    ${'/api/1.0/users/token/secret-token'} | ${'/api/1.0/users/token/:token'}
+    ${'/api/1.0/users/email/secret-token'} | ${'/api/1.0/users/email/:token'}
+    ${'/api/1.0/unknown/secret-token'}     | ${'unmatched'}
+  `('does not write the token of $url in the log', async ({ url, route }) => {
+    await request(app).post(url);
+    const [log] = logsWithMessage('request');
+    expect(log.route).toBe(route);
+    expect(JSON.stringify(lines)).not.toContain('secret-token');
+  });
+
+  it('logs the unexpected errors with the request id', async () => {
+    jest
+      .spyOn(UserService, 'getUsers')
+      .mockRejectedValue(new Error('database is gone'));
+    const response = await request(app).get('/api/1.0/users');
+    expect(response.status).toBe(500);
+    const [log] = logsWithMessage('unexpected_error');
+    expect(log).toMatchObject({
+      level: 'error',
+      requestId: response.headers['x-request-id'],
+      error: 'database is gone',
+    });
+    expect(log.stack).toBeDefined();
+  });
+
+  it('does not log the expected errors as unexpected', async () => {
+    await request(app).get('/api/1.0/users/5');
+    expect(logsWithMessage('unexpected_error')).toEqual([]);
+  });
+
+  it('logs the queries slower than the threshold', async () => {
+    await request(app).get('/api/1.0/users/5');
+    const [log] = logsWithMessage('slow_query');
+    expect(log.level).toBe('warn');
+    expect(log.sql).toContain('SELECT');
+    expect(typeof log.durationMs).toBe('number');
+  });
+});
+
+describe('Health', () => {
+  it('returns 200 when the database and the mail transport are up', async () => {
+    const response = await request(app).get('/health');
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      status: 'up',
+      checks: { database: { status: 'up' }, mail: { status: 'up' } },
+    });
+  });
+
+  it('returns 503 with the failing check when the database is down', async () => {
+    jest
+      .spyOn(sequelize, 'authenticate')
+      .mockRejectedValue(new Error('SQLITE_CANTOPEN'));
+    const response = await request(app).get('/health');
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('down');
+    expect(response.body.checks.database).toEqual({
+      status: 'down',
+      error: 'SQLITE_CANTOPEN',
+    });
+  });
+});
+
+describe('Metrics', () => {
+  const getMetrics = () => request(app).get('/metrics');
+
+  it('returns the metrics in Prometheus text format', async () => {
+    const response = await getMetrics();
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain(
+      '# TYPE http_request_duration_seconds histogram',
+    );
+  });
+
+  it('counts the requests by method, route and status', async () => {
+    await request(app).get('/api/1.0/users/5');
+    await request(app).get('/api/1.0/users/6');
+    const response = await getMetrics();
+    expect(response.text).toContain(
+      'http_requests_total{method="GET",route="/api/1.0/users/:id",status="404"} 2',
+    );
+  });
+
+  it('counts the requests of routes with several paths by the matched path', async () => {
+    await request(app).get('/api/1.0/hoaxes');
+    await request(app).get('/api/1.0/users/5/hoaxes');
+    const response = await getMetrics();
+    expect(response.text).toContain(
+      'http_requests_total{method="GET",route="/api/1.0/hoaxes",status="200"} 1',
+    );
+    expect(response.text).toContain(
+      'http_requests_total{method="GET",route="/api/1.0/users/:userId/hoaxes",status="404"} 1',
+    );
+  });
+
+  it('records the latency of the requests per route', async () => {
+    await request(app).get('/api/1.0/users/5');
+    const response = await getMetrics();
+    expect(response.text).toContain(
+      'http_request_duration_seconds_bucket{method="GET",route="/api/1.0/users/:id",le="+Inf"} 1',
+    );
+    expect(response.text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/api/1.0/users/:id"} 1',
+    );
+  });
+
+  it('starts the user counters at 0', async () => {
+    const response = await getMetrics();
+    expect(response.text).toContain('user_registrations_total 0');
+    expect(response.text).toContain('user_activations_total 0');
+  });
+
+  it('counts the registrations and activations', async () => {
+    await request(app).post('/api/1.0/users').send(validUser);
+    const user = await User.findOne();
+    await request(app).post('/api/1.0/users/token/' + user.activationToken);
+    const response = await getMetrics();
+    expect(response.text).toContain('user_registrations_total 1');
+    expect(response.text).toContain('user_activations_total 1');
+  });
+
+  it('does not count failed registrations', async () => {
+    await request(app)
+      .post('/api/1.0/users')
+      .send({ ...validUser, username: null });
+    const response = await getMetrics();
+    expect(response.text).toContain('user_registrations_total 0');
+  });
+});
@@ -0,0 +1,345 @@
+// A short heartbeat for this file only, so the lost connections are found within the test timeout
+process.env.NODE_CONFIG = JSON.stringify({
+  notifications: { heartbeatIntervalInSeconds: 0.1 },
+});
+
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const WebSocket = require('ws');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Follow = require('../src/follow/Follow');
+const FileAttachment = require('../src/file/FileAttachment');
+const migrator = require('../src/config/migrator');
+const NotificationServer = require('../src/notification/NotificationServer');
+const NotificationService = require('../src/notification/NotificationService');
+const { events, subscribe, publish } = require('../src/events/eventBus');
+
+let server;
+let port;
+let sockets = [];
+
+beforeAll(async () => {
+  await migrator.up();
+  server = app.listen(0);
+  port = server.address().port;
+  NotificationServer.attach(server);
+  NotificationService.start();
+});
+
+afterAll(() => {
+  NotificationService.stop();
+  NotificationServer.close();
+  server.close();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+afterEach(() => {
+  sockets.forEach((ws) => ws.terminate());
+  sockets = [];
+});
+
+const password = 'passworD987654';
+
+const addUser = async (index, values = {}) => {
+  const hash = await bcrypt.hash(password, 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+    ...values,
+  });
+};
+
+const login = async (index) => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email: `user${index}@mail.com`, password });
+  return response.body.token;
+};
+
+// Resolves with the socket once the server confirmed the connection, or with the status of the refused upgrade
+const connect = (options = {}) => {
+  return new Promise((resolve, reject) => {
+    const path = options.path || '/api/1.0/ws';
+    const query = options.token ? `?token=${options.token}` : '';
+    const ws = new WebSocket(`ws://localhost:${port}${path}${query}`, {
+      headers: options.headers,
+    });
+    sockets.push(ws);
+    ws.messages = [];
+    ws.on('message', (data) => ws.messages.push(JSON.parse(data)));
+    ws.once('message', () => resolve(ws));
+    ws.once('unexpected-response', (req, res) =>
+      resolve({ status: res.statusCode }),
+    );
+    ws.once('error', reject);
+  });
+};
+
+const waitFor = (check, timeoutInMillis = 2000) => {
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+    const poll = () => {
+      const result = check();
+      if (result) {
+        return resolve(result);
+      }
+      if (Date.now() - start > timeoutInMillis) {
+        return reject(new Error('condition not met in time'));
+      }
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+};
+
+const waitForMessage = (ws, event) =>
+  waitFor(() => ws.messages.find((message) => message.event === event));
+
+const waitForClose = (ws) =>
+  new Promise((resolve) => {
+    if (ws.readyState === WebSocket.CLOSED) {
+      return resolve(ws.closeCode);
+    }
+    ws.once('close', (code) => resolve(code));
+  });
+
+const sleep = (millis) => new Promise((resolve) => setTimeout(resolve, millis));
+
+describe('WebSocket Connection', () => {
+  it('refuses the connection with 401 when there is no token', async () => {
+    const response = await connect();
+    expect(response.status).toBe(401);
+  });
+
+  it('refuses the connection with 401 when the token is invalid', async () => {
+    const response = await connect({ token: 'invalid-token' });
+    expect(response.status).toBe(401);
+  });
+
+  it('refuses the connection with 404 on another path', async () => {
+    await addUser(1);
+    const token = await login(1);
+    const response = await connect({ token, path: '/api/1.0/other' });
+    expect(response.status).toBe(404);
+  });
+
+  it('accepts the token in the query string and confirms the connection', async () => {
+    const user = await addUser(1);
+    const token = await login(1);
+    const ws = await connect({ token });
+    expect(ws.messages[0]).toEqual({
+      event: 'connected',
+      data: { userId: user.id },
+    });
+  });
+
+  it('accepts the token in the Authorization header', async () => {
+    await addUser(1);
+    const token = await login(1);
+    const ws = await connect({
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    expect(ws.messages[0].event).toBe('connected');
+  });
+
+  it('keeps the connections that answer the heartbeat', async () => {
+    await addUser(1);
+    const token = await login(1);
+    const ws = await connect({ token });
+    await sleep(400);
+    expect(ws.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('terminates the connections that do not answer the heartbeat', async () => {
+    await addUser(1);
+    const token = await login(1);
+    const ws = await connect({ token });
+    // The client library answers every ping by itself, so answering is switched off here
+    ws.pong = () => {};
+    const code = await waitForClose(ws);
+    expect(code).toBe(1006);
+  });
+});
+
+describe('Notifications', () => {
+  const postHoax = (token, body = {}) =>
+    request(app)
+      .post('/api/1.0/hoaxes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Hoax content for followers', ...body });
+
+  it('pushes new hoaxes to the followers of the author', async () => {
+    const follower = await addUser(1);
+    const author = await addUser(2);
+    await Follow.create({ followerId: follower.id, followedId: author.id });
+    const ws = await connect({ token: await login(1) });
+    await postHoax(await login(2));
+    const message = await waitForMessage(ws, 'hoax_created');
+    expect(message.data.content).toBe('Hoax content for followers');
+    expect(message.data.user).toEqual({
+      id: author.id,
+      username: 'user2',
+      image: null,
+    });
+  });
+
+  it('pushes the file attachment of the hoax like the timeline', async () => {
+    const follower = await addUser(1);
+    const author = await addUser(2);
+    await Follow.create({ followerId: follower.id, followedId: author.id });
+    const attachment = await FileAttachment.create({
+      filename: 'test-file',
+      uploadDate: new Date(),
+      fileType: 'image/png',
+      userId: author.id,
+    });
+    const ws = await connect({ token: await login(1) });
+    await postHoax(await login(2), { fileAttachment: attachment.id });
+    const message = await waitForMessage(ws, 'hoax_created');
+    expect(message.data.fileAttachment).toEqual({
+      filename: 'test-file',
+      fileType: 'image/png',
+    });
+  });
+
+  it('does not push hoaxes to users who do not follow the author', async () => {
+    const follower = await addUser(1);
+    const author = await addUser(2);
+    await addUser(3);
+    await Follow.create({ followerId: follower.id, followedId: author.id });
+    const followerSocket = await connect({ token: await login(1) });
+    const otherSocket = await connect({ token: await login(3) });
+    await postHoax(await login(2));
+    await waitForMessage(followerSocket, 'hoax_created');
+    await sleep(50);
+    expect(otherSocket.messages.map((message) => message.event)).toEqual([
+      'connected',
+    ]);
+  });
+
+  it('pushes every open socket of the user', async () => {
+    const follower = await addUser(1);
+    const author = await addUser(2);
+    await Follow.create({ followerId: follower.id, followedId: author.id });
+    const first = await connect({ token: await login(1) });
+    const second = await connect({ token: await login(1) });
+    await postHoax(await login(2));
+    await waitForMessage(first, 'hoax_created');
+    await waitForMessage(second, 'hoax_created');
+  });
+
+  it('pushes password_changed and closes the sessions when the password is reset', async () => {
+    const user = await addUser(1);
+    const ws = await connect({ token: await login(1) });
+    await User.update(
+      { passwordResetToken: 'reset-token' },
+      { where: { id: user.id } },
+    );
+    await request(app)
+      .put('/api/1.0/user/password')
+      .send({ password: 'N3w-P4ssword', passwordResetToken: 'reset-token' });
+    const code = await waitForClose(ws);
+    expect(ws.messages.map((message) => message.event)).toEqual([
+      'connected',
+      'password_changed',
+    ]);
+    expect(code).toBe(4001);
+  });
+
+  it('closes only the socket of the token used to log out', async () => {
+    await addUser(1);
+    const token = await login(1);
+    const loggedOut = await connect({ token });
+    const other = await connect({ token: await login(1) });
+    await request(app)
+      .post('/api/1.0/logout')
+      .set('Authorization', `Bearer ${token}`);
+    const code = await waitForClose(loggedOut);
+    expect(code).toBe(4001);
+    expect(other.readyState).toBe(WebSocket.OPEN);
+  });
+
+  it('publishes account_activated when the account is activated', async () => {
+    const user = await User.create({
+      username: 'user1',
+      email: 'user1@mail.com',
+      activationToken: 'activation-token',
+      activationTokenExpiresAt: new Date(Date.now() + 60000),
+    });
+    const published = [];
+    const unsubscribe = subscribe(events.ACCOUNT_ACTIVATED, (payload) =>
+      published.push(payload),
+    );
+    await request(app).post('/api/1.0/users/token/activation-token');
+    unsubscribe();
+    expect(published).toEqual([{ userId: user.id }]);
+  });
+
+  it('pushes account_activated to the admins when an account is activated', async () => {
+    await addUser(1, { role: 'admin' });
+    await addUser(2);
+    const user = await User.create({
+      username: 'user3',
+      email: 'user3@mail.com',
+      activationToken: 'activation-token',
+      activationTokenExpiresAt: new Date(Date.now() + 60000),
+    });
+    const adminSocket = await connect({ token: await login(1) });
+    const otherSocket = await connect({ token: await login(2) });
+    await request(app).post('/api/1.0/users/token/activation-token');
+    const message = await waitForMessage(adminSocket, 'account_activated');
+    expect(message.data).toEqual({
+      id: user.id,
+      username: 'user3',
+      image: null,
+    });
+    await sleep(50);
+    expect(otherSocket.messages.map((message) => message.event)).toEqual([
+      'connected',
+    ]);
+  });
+
+  it('pushes account_activated to the admins when an admin activates an account', async () => {
+    await addUser(1, { role: 'admin' });
+    const user = await addUser(2, { inactive: true });
+    const token = await login(1);
+    const adminSocket = await connect({ token });
+    await request(app)
+      .post(`/api/1.0/admin/users/${user.id}/activate`)
+      .set('Authorization', `Bearer ${token}`);
+    const message = await waitForMessage(adminSocket, 'account_activated');
+    expect(message.data.id).toBe(user.id);
+  });
+});
+
+describe('Event Bus', () => {
+  it('calls the other subscribers when one of them fails', async () => {
+    const received = [];
+    const unsubscribeFailing = subscribe('test_event', () => {
+      throw new Error('failing subscriber');
+    });
+    const unsubscribe = subscribe('test_event', (payload) =>
+      received.push(payload),
+    );
+    expect(() => publish('test_event', { id: 1 })).not.toThrow();
+    unsubscribeFailing();
+    unsubscribe();
+    expect(received).toEqual([{ id: 1 }]);
+  });
+
+  it('stops calling a handler after it unsubscribes', () => {
+    const received = [];
+    const unsubscribe = subscribe('test_event', (payload) =>
+      received.push(payload),
+    );
+    unsubscribe();
+    publish('test_event', { id: 1 });
+    expect(received).toEqual([]);
+  });
+});
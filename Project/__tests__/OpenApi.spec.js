@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../src/app');
+
+const getSpec = () => request(app).get('/api/1.0/docs/openapi.json');
+
+const registrationSchema = (spec) =>
+  spec.paths['/api/1.0/users'].post.requestBody.content['application/json']
+    .schema;
+
+describe('OpenAPI document', () => {
+  it('returns 200 ok with an OpenAPI 3 document', async () => {
+    const response = await getSpec();
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toMatch(/^3\./);
+  });
+
+  it('documents every mounted api route', async () => {
+    const response = await getSpec();
+    const paths = Object.keys(response.body.paths);
+    expect(paths).toEqual(
+      expect.arrayContaining([
+        '/api/1.0/users',
+        '/api/1.0/users/{id}',
+        '/api/1.0/auth',
+        '/api/1.0/hoaxes',
+      ]),
+    );
+  });
+
+  it('does not document the documentation routes', async () => {
+    const response = await getSpec();
+    const paths = Object.keys(response.body.paths);
+    expect(paths.some((path) => path.startsWith('/api/1.0/docs'))).toBe(false);
+  });
+
+  it('converts express path parameters to OpenAPI path parameters', async () => {
+    const response = await getSpec();
+    const operation = response.body.paths['/api/1.0/users/{id}'].get;
+    expect(operation.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    ]);
+  });
+
+  it('derives the registration fields from the validation chains', async () => {
+    const response = await getSpec();
+    const schema = registrationSchema(response.body);
+    expect(schema.required).toEqual(['username', 'email', 'password']);
+    expect(schema.properties.username).toMatchObject({
+      minLength: 4,
+      maxLength: 32,
+    });
+    expect(schema.properties.email.format).toBe('email');
+    expect(schema.properties.password).toMatchObject({
+      minLength: 6,
+      pattern: '^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d).*$',
+    });
+  });
+
+  it('lists the message keys of each field', async () => {
+    const response = await getSpec();
+    const schema = registrationSchema(response.body);
+    expect(schema.properties.username['x-validation-messages']).toEqual([
+      'username_null',
+      'username_invalid',
+      'username_size',
+    ]);
+  });
+
+  it('documents the validationErrors body for routes with validation', async () => {
+    const response = await getSpec();
+    const operation = response.body.paths['/api/1.0/users'].post;
+    expect(operation.responses['400'].content).toEqual({
+      'application/json': {
+        schema: { $ref: '#/components/schemas/ValidationError' },
+      },
+    });
+    expect(
+      response.body.components.schemas.ValidationError.properties,
+    ).toHaveProperty('validationErrors');
+  });
+
+  it('documents query string chains as query parameters for any method', async () => {
+    const response = await getSpec();
+    const operation = response.body.paths['/api/1.0/admin/users/import'].post;
+    expect(operation.requestBody).toBeUndefined();
+    expect(operation.parameters).toEqual([
+      expect.objectContaining({
+        name: 'skipActivationEmail',
+        in: 'query',
+        schema: expect.objectContaining({ type: 'boolean' }),
+      }),
+    ]);
+  });
+
+  // Fails when a route or a validation rule changes without the document being reviewed. Update with jest -u
+  it('matches the reviewed document', async () => {
+    const response = await getSpec();
+    expect(response.body).toMatchSnapshot();
+  });
+});
+
+describe('OpenAPI UI', () => {
+  it('serves the browsable documentation page', async () => {
+    const response = await request(app).get('/api/1.0/docs/');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/html');
+  });
+});
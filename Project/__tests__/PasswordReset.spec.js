@@ -0,0 +1,247 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const nodemailerStub = require('nodemailer-stub');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Token = require('../src/auth/Token');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const postPasswordReset = (email = 'user1@mail.com', options = {}) => {
+  const agent = request(app).post('/api/1.0/user/password');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send({ email });
+};
+
+const putPasswordUpdate = (body = {}, options = {}) => {
+  const agent = request(app).put('/api/1.0/user/password');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send(body);
+};
+
+describe('Password Reset Request', () => {
+  it('returns 200 ok for an unknown e-mail', async () => {
+    const response = await postPasswordReset();
+    expect(response.status).toBe(200);
+  });
+
+  it('returns the same message for known and unknown e-mails', async () => {
+    const unknownResponse = await postPasswordReset();
+    await addUser();
+    const knownResponse = await postPasswordReset();
+    expect(knownResponse.body.message).toBe(unknownResponse.body.message);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'If the e-mail is registered, you will receive a message with the instructions to reset your password'}
+    ${'es'}  | ${'Si el e-mail está registrado, recibirás un mensaje con las instrucciones para restablecer tu contraseña'}
+  `(
+    'returns $message when language is $language',
+    async ({ language, message }) => {
+      const response = await postPasswordReset('user1@mail.com', {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${'en'}  | ${'E-mail is not valid'}
+    ${'es'}  | ${'E-mail inválido'}
+  `(
+    'returns 400 with $message when e-mail is invalid and language is $language',
+    async ({ language, message }) => {
+      const response = await postPasswordReset('user.mail.com', { language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.email).toBe(message);
+    },
+  );
+
+  it('creates passwordResetToken when a password reset request is sent for known e-mail', async () => {
+    const user = await addUser();
+    await postPasswordReset();
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.passwordResetToken).toBeTruthy();
+  });
+
+  it('sends a password reset e-mail with passwordResetToken', async () => {
+    const user = await addUser();
+    await postPasswordReset();
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.to[0]).toBe('user1@mail.com');
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining(userInDB.passwordResetToken),
+    );
+  });
+});
+
+describe('Password reset e-mail content', () => {
+  it('sends a link to the password reset page of the client', async () => {
+    const user = await addUser();
+    await postPasswordReset();
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining(
+        `http://localhost:8080/password-reset?reset=${userInDB.passwordResetToken}`,
+      ),
+    );
+  });
+
+  it.each`
+    language | subject
+    ${'en'}  | ${'Password Reset'}
+    ${'es'}  | ${'Restablecer contraseña'}
+    ${'tr'}  | ${'Şifre Sıfırlama'}
+  `(
+    'sends the e-mail with subject $subject when the language of the user is $language',
+    async ({ language, subject }) => {
+      await addUser({ ...activeUser, language });
+      // The e-mail follows the saved language of the user, not the language of the request
+      await postPasswordReset('user1@mail.com', { language: 'en' });
+      const lastMail = nodemailerStub.interactsWithMail.lastMail();
+      expect(lastMail.subject).toBe(subject);
+    },
+  );
+});
+
+describe('Password Update', () => {
+  const addUserWithResetToken = async (user = { ...activeUser }) => {
+    return await addUser({ ...user, passwordResetToken: 'test-token' });
+  };
+
+  it('returns 403 when password update request does not have the valid password reset token', async () => {
+    const response = await putPasswordUpdate({
+      password: 'P4ssword',
+      passwordResetToken: 'abcd',
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when password update request does not have a password reset token', async () => {
+    const response = await putPasswordUpdate({ password: 'P4ssword' });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 403 when the password reset token is not a string', async () => {
+    const user = await addUserWithResetToken();
+    const response = await putPasswordUpdate({
+      password: 'N3wPassword',
+      passwordResetToken: ['abcd', 'test-token'],
+    });
+    expect(response.status).toBe(403);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.passwordResetToken).toBe('test-token');
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Please enter a valid password reset token'}
+    ${'es'}  | ${'Por favor introduce un token válido para restablecer la contraseña'}
+  `(
+    'returns $message when token is invalid and language is $language',
+    async ({ language, message }) => {
+      const response = await putPasswordUpdate(
+        { password: 'P4ssword', passwordResetToken: 'abcd' },
+        { language },
+      );
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    value             | message
+    ${null}           | ${'Password cannot be null'}
+    ${'P4ssw'}        | ${'Password must be at least 6 characters long'}
+    ${'alllowercase'} | ${'Password must have at least one uppercase, one lowercase and one number'}
+    ${'UPPERAND123'}  | ${'Password must have at least one uppercase, one lowercase and one number'}
+  `(
+    'returns $message when the new password is $value',
+    async ({ value, message }) => {
+      await addUserWithResetToken();
+      const response = await putPasswordUpdate({
+        password: value,
+        passwordResetToken: 'test-token',
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.password).toBe(message);
+    },
+  );
+
+  it('returns 200 when valid password is sent with valid reset token', async () => {
+    await addUserWithResetToken();
+    const response = await putPasswordUpdate({
+      password: 'N3w-password',
+      passwordResetToken: 'test-token',
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it('updates the password in database and clears the reset token', async () => {
+    const user = await addUserWithResetToken();
+    await putPasswordUpdate({
+      password: 'N3w-password',
+      passwordResetToken: 'test-token',
+    });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.passwordResetToken).toBeNull();
+    expect(await bcrypt.compare('N3w-password', userInDB.password)).toBe(true);
+  });
+
+  it('activates and clears activation token if the account is inactive', async () => {
+    const user = await addUserWithResetToken({
+      ...activeUser,
+      inactive: true,
+      activationToken: 'activation-token',
+    });
+    await putPasswordUpdate({
+      password: 'N3w-password',
+      passwordResetToken: 'test-token',
+    });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.inactive).toBe(false);
+    expect(userInDB.activationToken).toBeNull();
+  });
+
+  it('clears all the sessions of the user', async () => {
+    const user = await addUserWithResetToken();
+    await Token.create({
+      token: 'session-token',
+      userId: user.id,
+      lastUsedAt: new Date(),
+    });
+    await putPasswordUpdate({
+      password: 'N3w-password',
+      passwordResetToken: 'test-token',
+    });
+    const tokens = await Token.findAll({ where: { userId: user.id } });
+    expect(tokens.length).toBe(0);
+  });
+});
@@ -0,0 +1,200 @@
+// Low limits for this file only, the other test files keep the limits of config/test.json
+process.env.NODE_CONFIG = JSON.stringify({
+  rateLimit: {
+    registration: { windowInSeconds: 3600, ipLimit: 4, emailLimit: 2 },
+    authentication: { windowInSeconds: 3600, ipLimit: 1000, emailLimit: 3 },
+  },
+});
+
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const migrator = require('../src/config/migrator');
+const { useStore } = require('../src/ratelimit/rateLimiter');
+const { createMemoryStore } = require('../src/ratelimit/MemoryStore');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(async () => {
+  useStore(createMemoryStore());
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const postUser = (email = 'user1@mail.com', options = {}) => {
+  const agent = request(app).post('/api/1.0/users');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send({
+    username: 'user1',
+    email,
+    password: 'passworD987654',
+  });
+};
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const postAuthentication = (password = 'passworD987654', options = {}) => {
+  const agent = request(app).post('/api/1.0/auth');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send({ email: 'user1@mail.com', password });
+};
+
+describe('Registration rate limit', () => {
+  it('returns 429 when the same e-mail is sent more often than the limit', async () => {
+    await postUser();
+    await postUser();
+    const response = await postUser();
+    expect(response.status).toBe(429);
+  });
+
+  it('counts e-mails regardless of case and surrounding spaces', async () => {
+    await postUser('user1@mail.com');
+    await postUser(' USER1@mail.com ');
+    const response = await postUser('User1@Mail.com');
+    expect(response.status).toBe(429);
+  });
+
+  it('counts e-mails that are not strings', async () => {
+    await postUser(['user1@mail.com']);
+    await postUser(['user1@mail.com']);
+    const response = await postUser(['user1@mail.com']);
+    expect(response.status).toBe(429);
+  });
+
+  it('returns 429 when the same IP sends more requests than the limit', async () => {
+    for (let i = 1; i <= 4; i++) {
+      await postUser(`user${i}@mail.com`);
+    }
+    const response = await postUser('user5@mail.com');
+    expect(response.status).toBe(429);
+  });
+
+  it('sets the Retry-After header in seconds', async () => {
+    await postUser();
+    await postUser();
+    const response = await postUser();
+    const retryAfter = Number(response.headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(3600);
+  });
+
+  it('does not create the user when the request is limited', async () => {
+    await postUser('user1@mail.com');
+    await User.destroy({ truncate: { cascade: true } });
+    await postUser('user1@mail.com');
+    await User.destroy({ truncate: { cascade: true } });
+    await postUser('user1@mail.com');
+    const users = await User.findAll();
+    expect(users.length).toBe(0);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Too many requests, please try again later'}
+    ${'es'}  | ${'Demasiadas solicitudes, por favor inténtalo más tarde'}
+  `(
+    'returns $message when language is $language',
+    async ({ language, message }) => {
+      await postUser();
+      await postUser();
+      const response = await postUser('user1@mail.com', { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('accepts requests again once the window of the store is reset', async () => {
+    await postUser();
+    await postUser();
+    useStore(createMemoryStore());
+    const response = await postUser('user2@mail.com');
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Authentication rate limit', () => {
+  it('returns 429 when the same e-mail tries to log in more often than the limit', async () => {
+    await addUser();
+    for (let i = 0; i < 3; i++) {
+      await postAuthentication();
+    }
+    const response = await postAuthentication();
+    expect(response.status).toBe(429);
+  });
+});
+
+describe('Account lockout', () => {
+  const failLogin = async (times) => {
+    for (let i = 0; i < times; i++) {
+      // Each attempt gets a fresh store, so only the lockout is being tested here
+      useStore(createMemoryStore());
+      await postAuthentication('Wrongpassword1');
+    }
+    useStore(createMemoryStore());
+  };
+
+  it('counts failed password attempts', async () => {
+    const user = await addUser();
+    await failLogin(2);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.failedLoginAttempts).toBe(2);
+  });
+
+  it('returns 403 with correct password after too many failed attempts', async () => {
+    await addUser();
+    await failLogin(5);
+    const response = await postAuthentication();
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Account is temporarily locked because of too many failed login attempts, please try again later'}
+    ${'es'}  | ${'La cuenta está bloqueada temporalmente por demasiados intentos fallidos, por favor inténtalo más tarde'}
+  `(
+    'returns $message for a locked account when language is $language',
+    async ({ language, message }) => {
+      await addUser();
+      await failLogin(5);
+      const response = await postAuthentication('passworD987654', {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('unlocks the account automatically after the lock period', async () => {
+    const user = await addUser();
+    await failLogin(5);
+    await User.update(
+      { lockedUntil: new Date(Date.now() - 1000) },
+      { where: { id: user.id } },
+    );
+    const response = await postAuthentication();
+    expect(response.status).toBe(200);
+  });
+
+  it('resets the failed attempts counter after a successful login', async () => {
+    const user = await addUser();
+    await failLogin(3);
+    await postAuthentication();
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.failedLoginAttempts).toBe(0);
+  });
+});
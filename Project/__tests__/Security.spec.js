@@ -0,0 +1,268 @@
+// A small body limit for this file only, so the 413 can be reached without a large request
+process.env.NODE_CONFIG = JSON.stringify({
+  security: { bodyLimit: '1kb' },
+});
+
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const nodemailerStub = require('nodemailer-stub');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Hoax = require('../src/hoax/Hoax');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const password = 'passworD987654';
+
+const validUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password,
+};
+
+const postUser = (user = validUser, options = {}) => {
+  const agent = request(app).post('/api/1.0/users');
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send(user);
+};
+
+const addActiveUser = async (user = {}) => {
+  const hash = await bcrypt.hash(password, 10);
+  return await User.create({
+    ...validUser,
+    inactive: false,
+    ...user,
+    password: hash,
+  });
+};
+
+const login = async (email = 'user1@mail.com') => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email, password });
+  return response.body.token;
+};
+
+describe('CORS', () => {
+  it('allows the configured client origin', async () => {
+    const response = await request(app)
+      .get('/api/1.0/users')
+      .set('Origin', 'http://localhost:8080');
+    expect(response.headers['access-control-allow-origin']).toBe(
+      'http://localhost:8080',
+    );
+    expect(response.headers['access-control-expose-headers']).toContain(
+      'X-Request-Id',
+    );
+    expect(response.headers['vary']).toContain('Origin');
+  });
+
+  it('does not allow other origins', async () => {
+    const response = await request(app)
+      .get('/api/1.0/users')
+      .set('Origin', 'http://evil.example.com');
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  it('answers the preflight request of the client origin with 204', async () => {
+    const response = await request(app)
+      .options('/api/1.0/users/5')
+      .set('Origin', 'http://localhost:8080')
+      .set('Access-Control-Request-Method', 'PUT');
+    expect(response.status).toBe(204);
+    expect(response.headers['access-control-allow-methods']).toContain('PUT');
+    expect(response.headers['access-control-allow-headers']).toContain(
+      'Authorization',
+    );
+    expect(
+      response.headers['access-control-allow-credentials'],
+    ).toBeUndefined();
+  });
+
+  it('does not answer the preflight request of other origins', async () => {
+    const response = await request(app)
+      .options('/api/1.0/users/5')
+      .set('Origin', 'http://evil.example.com')
+      .set('Access-Control-Request-Method', 'PUT');
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    expect(response.headers['access-control-allow-methods']).toBeUndefined();
+  });
+});
+
+describe('Security Headers', () => {
+  it('sets the security headers on api responses', async () => {
+    const response = await request(app).get('/api/1.0/users');
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+    expect(response.headers['x-frame-options']).toBe('DENY');
+    expect(response.headers['referrer-policy']).toBe('no-referrer');
+    expect(response.headers['content-security-policy']).toBe(
+      "default-src 'none'; frame-ancestors 'none'",
+    );
+  });
+
+  it('does not reveal the framework in X-Powered-By', async () => {
+    const response = await request(app).get('/api/1.0/users');
+    expect(response.headers['x-powered-by']).toBeUndefined();
+  });
+
+  it('does not set the restrictive content security policy on the documentation page', async () => {
+    const response = await request(app).get('/api/1.0/docs/');
+    expect(response.headers['content-security-policy']).toBeUndefined();
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  it('does not set Strict-Transport-Security when hsts is off', async () => {
+    const response = await request(app).get('/api/1.0/users');
+    expect(response.headers['strict-transport-security']).toBeUndefined();
+  });
+});
+
+describe('Request Body', () => {
+  it.each`
+    language | message
+    ${'es'}  | ${'El cuerpo de la petición es demasiado grande'}
+    ${'en'}  | ${'Request body is too large'}
+  `(
+    'returns 413 with $message when body is above the limit and language is $language',
+    async ({ language, message }) => {
+      const response = await postUser(
+        { ...validUser, username: 'a'.repeat(2000) },
+        { language },
+      );
+      expect(response.status).toBe(413);
+      expect(response.body.message).toBe(message);
+      expect(response.body.path).toBe('/api/1.0/users');
+    },
+  );
+
+  it.each`
+    language | message
+    ${'es'}  | ${'El cuerpo de la petición no es un JSON válido'}
+    ${'en'}  | ${'Request body is not valid JSON'}
+  `(
+    'returns 400 with $message when body is malformed and language is $language',
+    async ({ language, message }) => {
+      const response = await request(app)
+        .post('/api/1.0/users')
+        .set('Accept-Language', language)
+        .set('Content-Type', 'application/json')
+        .send('{"username": ');
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe('E-mail Normalization', () => {
+  it('saves the e-mail trimmed and in lowercase', async () => {
+    await postUser({ ...validUser, email: ' User1@Mail.COM ' });
+    const user = await User.findOne();
+    expect(user.email).toBe('user1@mail.com');
+  });
+
+  it('sends the activation e-mail to the normalized address', async () => {
+    await postUser({ ...validUser, email: 'User1@Mail.com' });
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.to[0]).toBe('user1@mail.com');
+  });
+
+  it('returns E-mail in use when the e-mail only differs in case', async () => {
+    await postUser({ ...validUser, email: 'User1@Mail.com' });
+    const response = await postUser({ ...validUser, email: 'user1@mail.com' });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.email).toBe('E-mail in use');
+  });
+
+  it('logs in with the e-mail in another case', async () => {
+    await addActiveUser();
+    const token = await login(' USER1@mail.com ');
+    expect(token).toBeDefined();
+  });
+
+  it('sends the password reset e-mail when the e-mail is in another case', async () => {
+    await addActiveUser();
+    await request(app)
+      .post('/api/1.0/user/password')
+      .send({ email: 'User1@MAIL.com' });
+    const user = await User.findOne();
+    expect(user.passwordResetToken).toBeTruthy();
+  });
+});
+
+describe('Unique E-mail', () => {
+  it('rejects a second user with the same e-mail at database level', async () => {
+    await User.create({ username: 'user1', email: 'user1@mail.com' });
+    await expect(
+      User.create({ username: 'user2', email: 'USER1@mail.com' }),
+    ).rejects.toThrow();
+    const count = await User.count();
+    expect(count).toBe(1);
+  });
+});
+
+describe('Mass Assignment', () => {
+  it('ignores the fields that are not part of the registration', async () => {
+    await postUser({
+      ...validUser,
+      inactive: false,
+      role: 'admin',
+      activationToken: 'chosen-token',
+      failedLoginAttempts: -100,
+    });
+    const user = await User.findOne();
+    expect(user.inactive).toBe(true);
+    expect(user.role).toBe('user');
+    expect(user.activationToken).not.toBe('chosen-token');
+    expect(user.failedLoginAttempts).toBe(0);
+  });
+
+  it('ignores the fields that are not part of the profile update', async () => {
+    const user = await addActiveUser();
+    const token = await login();
+    await request(app)
+      .put('/api/1.0/users/' + user.id)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        username: 'user1-updated',
+        email: 'other@mail.com',
+        role: 'admin',
+        inactive: true,
+        password: 'N3w-password',
+      });
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(userInDB.username).toBe('user1-updated');
+    expect(userInDB.email).toBe('user1@mail.com');
+    expect(userInDB.role).toBe('user');
+    expect(userInDB.inactive).toBe(false);
+    expect(userInDB.password).toBe(user.password);
+  });
+
+  it('ignores the fields that are not part of the hoax submission', async () => {
+    const user = await addActiveUser();
+    const other = await addActiveUser({
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const token = await login();
+    await request(app)
+      .post('/api/1.0/hoaxes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Hoax content', userId: other.id, timestamp: 1 });
+    const hoax = await Hoax.findOne();
+    expect(hoax.userId).toBe(user.id);
+    expect(hoax.timestamp).not.toBe(1);
+  });
+
+  it('fails for a scope without assignable fields', () => {
+    expect(() => User.pickAssignable('unknown', {})).toThrow();
+  });
+});
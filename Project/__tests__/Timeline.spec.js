@@ -0,0 +1,215 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Hoax = require('../src/hoax/Hoax');
+const Follow = require('../src/follow/Follow');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const password = 'passworD987654';
+
+const addUser = async (index) => {
+  const hash = await bcrypt.hash(password, 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoaxes = async (user, count) => {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const hoax = await Hoax.create({
+      content: `hoax of ${user.username} ${i + 1}`,
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    ids.push(hoax.id);
+  }
+  return ids;
+};
+
+// user1 follows user2 and user3 but not user4
+const setUp = async () => {
+  const user1 = await addUser(1);
+  const user2 = await addUser(2);
+  const user3 = await addUser(3);
+  const user4 = await addUser(4);
+  await Follow.create({ followerId: user1.id, followedId: user2.id });
+  await Follow.create({ followerId: user1.id, followedId: user3.id });
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email: 'user1@mail.com', password });
+  return { token: response.body.token, user1, user2, user3, user4 };
+};
+
+const getTimeline = (options = {}) => {
+  const agent = request(app)
+    .get('/api/1.0/timeline')
+    .query(options.query || {});
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send();
+};
+
+const getNewCount = (options = {}) => {
+  const agent = request(app)
+    .get('/api/1.0/timeline/count')
+    .query(options.query || {});
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  return agent.send();
+};
+
+const idsOf = (response) => response.body.content.map((hoax) => hoax.id);
+
+describe('Timeline', () => {
+  it('returns 401 when request is sent without authentication', async () => {
+    const response = await getTimeline();
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para ver la cronología'}
+    ${'en'}  | ${'You are not authorized to see the timeline'}
+  `(
+    'returns $message for unauthenticated request when language is $language',
+    async ({ language, message }) => {
+      const response = await getTimeline({ language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns only the hoaxes of the followed users, newest first', async () => {
+    const { token, user1, user2, user3, user4 } = await setUp();
+    const ids2 = await addHoaxes(user2, 2);
+    await addHoaxes(user4, 2);
+    const ids3 = await addHoaxes(user3, 1);
+    await addHoaxes(user1, 1);
+    const response = await getTimeline({ token });
+    expect(response.status).toBe(200);
+    expect(idsOf(response)).toEqual([ids3[0], ids2[1], ids2[0]]);
+    expect(response.body.size).toBe(10);
+  });
+
+  it('returns the hoaxes with the same fields as the hoax listing', async () => {
+    const { token, user2 } = await setUp();
+    await addHoaxes(user2, 1);
+    const response = await getTimeline({ token });
+    const hoax = response.body.content[0];
+    expect(Object.keys(hoax)).toEqual([
+      'id',
+      'content',
+      'timestamp',
+      'user',
+      'fileAttachment',
+    ]);
+    expect(Object.keys(hoax.user)).toEqual(['id', 'username', 'image']);
+  });
+
+  it('returns an empty content when the user follows nobody', async () => {
+    const { token, user1, user2 } = await setUp();
+    await Follow.destroy({ where: { followerId: user1.id } });
+    await addHoaxes(user2, 2);
+    const response = await getTimeline({ token });
+    expect(response.body.content).toEqual([]);
+  });
+
+  it('returns size hoaxes older than the before cursor', async () => {
+    const { token, user2 } = await setUp();
+    const ids = await addHoaxes(user2, 15);
+    const response = await getTimeline({
+      token,
+      query: { before: ids[10], size: 5 },
+    });
+    expect(idsOf(response)).toEqual([ids[9], ids[8], ids[7], ids[6], ids[5]]);
+  });
+
+  it('returns the hoaxes right after the after cursor, newest first', async () => {
+    const { token, user2 } = await setUp();
+    const ids = await addHoaxes(user2, 15);
+    const response = await getTimeline({
+      token,
+      query: { after: ids[2], size: 3 },
+    });
+    expect(idsOf(response)).toEqual([ids[5], ids[4], ids[3]]);
+  });
+
+  it('returns the hoaxes between the cursors when both are given', async () => {
+    const { token, user2 } = await setUp();
+    const ids = await addHoaxes(user2, 6);
+    const response = await getTimeline({
+      token,
+      query: { after: ids[1], before: ids[4] },
+    });
+    expect(idsOf(response)).toEqual([ids[3], ids[2]]);
+  });
+
+  it.each`
+    cursor      | value
+    ${'before'} | ${'abc'}
+    ${'after'}  | ${'0'}
+  `(
+    'returns validation error when $cursor is $value',
+    async ({ cursor, value }) => {
+      const { token } = await setUp();
+      const response = await getTimeline({ token, query: { [cursor]: value } });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[cursor]).toBe(
+        'Cursor must be a hoax id',
+      );
+    },
+  );
+});
+
+describe('Timeline New Count', () => {
+  it('returns 401 when request is sent without authentication', async () => {
+    const response = await getNewCount({ query: { after: 1 } });
+    expect(response.status).toBe(401);
+  });
+
+  it('returns the count of the followed hoaxes newer than the cursor', async () => {
+    const { token, user2, user4 } = await setUp();
+    const ids = await addHoaxes(user2, 2);
+    await addHoaxes(user2, 3);
+    await addHoaxes(user4, 4);
+    const response = await getNewCount({ token, query: { after: ids[1] } });
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ count: 3 });
+  });
+
+  it.each`
+    language | value        | message
+    ${'en'}  | ${undefined} | ${'Cursor cannot be null'}
+    ${'es'}  | ${undefined} | ${'El cursor no puede estar vacío'}
+    ${'en'}  | ${'-5'}      | ${'Cursor must be a hoax id'}
+  `(
+    'returns $message when after is $value and language is $language',
+    async ({ language, value, message }) => {
+      const { token } = await setUp();
+      const query = value === undefined ? {} : { after: value };
+      const response = await getNewCount({ token, query, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.after).toBe(message);
+    },
+  );
+});
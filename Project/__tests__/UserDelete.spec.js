@@ -0,0 +1,163 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const Token = require('../src/auth/Token');
+const FileAttachment = require('../src/file/FileAttachment');
+const migrator = require('../src/config/migrator');
+
+const { uploadDir, profileDir, attachmentDir } = config.get('uploads');
+const profileFolder = path.join('.', uploadDir, profileDir);
+const attachmentFolder = path.join('.', uploadDir, attachmentDir);
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const login = async (credentials) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const deleteUser = async (id = 5, options = {}) => {
+  const agent = request(app).delete('/api/1.0/users/' + id);
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+const credentials = { email: 'user1@mail.com', password: 'passworD987654' };
+
+describe('User Delete', () => {
+  it('returns forbidden when request sent unauthorized', async () => {
+    const response = await deleteUser();
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para eliminar el usuario'}
+    ${'en'}  | ${'You are not authorized to delete user'}
+  `(
+    'returns error body with $message for unauthorized request when language is $language',
+    async ({ language, message }) => {
+      const response = await deleteUser(5, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns forbidden when delete request is sent for another user', async () => {
+    await addUser();
+    const userToBeDeleted = await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const token = await login(credentials);
+    const response = await deleteUser(userToBeDeleted.id, { token });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 200 ok when delete request sent from authorized user', async () => {
+    const savedUser = await addUser();
+    const token = await login(credentials);
+    const response = await deleteUser(savedUser.id, { token });
+    expect(response.status).toBe(200);
+  });
+
+  it('deletes user from database when request sent from authorized user', async () => {
+    const savedUser = await addUser();
+    const token = await login(credentials);
+    await deleteUser(savedUser.id, { token });
+    const inDBUser = await User.findOne({ where: { id: savedUser.id } });
+    expect(inDBUser).toBeNull();
+  });
+
+  it('deletes all tokens from database when delete user request sent from authorized user', async () => {
+    const savedUser = await addUser();
+    const token1 = await login(credentials);
+    await login(credentials);
+    await deleteUser(savedUser.id, { token: token1 });
+    const tokensInDB = await Token.findAll();
+    expect(tokensInDB.length).toBe(0);
+  });
+
+  it('removes the profile image when the user is deleted', async () => {
+    const savedUser = await addUser();
+    const token = await login(credentials);
+    const image = fs.readFileSync(
+      path.join('.', '__tests__', 'resources', 'test-png.png'),
+      { encoding: 'base64' },
+    );
+    const updateResponse = await request(app)
+      .put('/api/1.0/users/' + savedUser.id)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'user1', image });
+    const profileImagePath = path.join(
+      profileFolder,
+      updateResponse.body.image,
+    );
+
+    await deleteUser(savedUser.id, { token });
+    expect(fs.existsSync(profileImagePath)).toBe(false);
+  });
+
+  it('deletes the user when the profile image file is already missing', async () => {
+    const savedUser = await addUser({
+      ...activeUser,
+      image: 'missing-profile-image',
+    });
+    const token = await login(credentials);
+    const response = await deleteUser(savedUser.id, { token });
+    expect(response.status).toBe(200);
+    const inDBUser = await User.findOne({ where: { id: savedUser.id } });
+    expect(inDBUser).toBeNull();
+  });
+
+  it('removes the hoax attachments when the user is deleted', async () => {
+    const savedUser = await addUser();
+    const token = await login(credentials);
+    const uploadResponse = await request(app)
+      .post('/api/1.0/hoaxes/attachments')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', path.join('.', '__tests__', 'resources', 'test-png.png'));
+    await request(app)
+      .post('/api/1.0/hoaxes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        content: 'Hoax content',
+        fileAttachment: uploadResponse.body.id,
+      });
+    const attachment = await FileAttachment.findOne({
+      where: { id: uploadResponse.body.id },
+    });
+    const attachmentPath = path.join(attachmentFolder, attachment.filename);
+
+    await deleteUser(savedUser.id, { token });
+    expect(fs.existsSync(attachmentPath)).toBe(false);
+  });
+});
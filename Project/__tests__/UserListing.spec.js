@@ -0,0 +1,188 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const migrator = require('../src/config/migrator');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+const getUsers = (options = {}) => {
+  const agent = request(app).get('/api/1.0/users');
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent;
+};
+
+const addUsers = async (activeUserCount, inactiveUserCount = 0) => {
+  const hash = await bcrypt.hash('passworD987654', 10);
+  for (let i = 0; i < activeUserCount + inactiveUserCount; i++) {
+    await User.create({
+      username: `user${i + 1}`,
+      email: `user${i + 1}@mail.com`,
+      password: hash,
+      inactive: i >= activeUserCount,
+      activationToken: i >= activeUserCount ? `token${i + 1}` : null,
+    });
+  }
+};
+
+const login = async (email) => {
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email, password: 'passworD987654' });
+  return response.body.token;
+};
+
+describe('Listing Users', () => {
+  it('returns 200 ok when there are no user in database', async () => {
+    const response = await getUsers();
+    expect(response.status).toBe(200);
+  });
+
+  it('returns page object as response body', async () => {
+    const response = await getUsers();
+    expect(response.body).toEqual({
+      content: [],
+      page: 0,
+      size: 10,
+      totalPages: 0,
+    });
+  });
+
+  it('returns 10 users in page content when there are 11 users in database', async () => {
+    await addUsers(11);
+    const response = await getUsers();
+    expect(response.body.content.length).toBe(10);
+  });
+
+  it('returns 6 users in page content when there are active 6 users and inactive 5 users in database', async () => {
+    await addUsers(6, 5);
+    const response = await getUsers();
+    expect(response.body.content.length).toBe(6);
+  });
+
+  it('returns only id, username and image for each user', async () => {
+    await addUsers(11);
+    const response = await getUsers();
+    const user = response.body.content[0];
+    expect(Object.keys(user)).toEqual(['id', 'username', 'image']);
+  });
+
+  it('returns 2 as totalPages when there are 15 active and 7 inactive users', async () => {
+    await addUsers(15, 7);
+    const response = await getUsers();
+    expect(response.body.totalPages).toBe(2);
+  });
+
+  it('returns second page users and page indicator when page is set as 1 in request parameter', async () => {
+    await addUsers(11);
+    const response = await getUsers().query({ page: 1 });
+    expect(response.body.content[0].username).toBe('user11');
+    expect(response.body.page).toBe(1);
+  });
+
+  it('returns first page when page is set below zero as request parameter', async () => {
+    await addUsers(11);
+    const response = await getUsers().query({ page: -5 });
+    expect(response.body.page).toBe(0);
+  });
+
+  it('returns 5 users and corresponding size indicator when size is set as 5 in request parameter', async () => {
+    await addUsers(11);
+    const response = await getUsers().query({ size: 5 });
+    expect(response.body.content.length).toBe(5);
+    expect(response.body.size).toBe(5);
+  });
+
+  it('returns 10 users and corresponding size indicator when size is set as 1000', async () => {
+    await addUsers(11);
+    const response = await getUsers().query({ size: 1000 });
+    expect(response.body.content.length).toBe(10);
+    expect(response.body.size).toBe(10);
+  });
+
+  it('returns 10 users and corresponding size indicator when size is set as 0', async () => {
+    await addUsers(11);
+    const response = await getUsers().query({ size: 0 });
+    expect(response.body.content.length).toBe(10);
+    expect(response.body.size).toBe(10);
+  });
+
+  it('returns page as zero and size as 10 when non numeric query params provided for both', async () => {
+    await addUsers(11);
+    const response = await getUsers().query({ size: 'size', page: 'page' });
+    expect(response.body.size).toBe(10);
+    expect(response.body.page).toBe(0);
+  });
+
+  it('returns user page without logged in user when request has valid authorization', async () => {
+    await addUsers(11);
+    const token = await login('user1@mail.com');
+    const response = await getUsers({ token });
+    expect(response.body.totalPages).toBe(1);
+    expect(
+      response.body.content.find((user) => user.username === 'user1'),
+    ).toBeUndefined();
+  });
+});
+
+describe('Get User', () => {
+  const getUser = (id = 5, options = {}) => {
+    const agent = request(app).get('/api/1.0/users/' + id);
+    if (options.language) {
+      agent.set('Accept-Language', options.language);
+    }
+    return agent;
+  };
+
+  it('returns 404 when user not found', async () => {
+    const response = await getUser();
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'Usuario no encontrado'}
+    ${'en'}  | ${'User not found'}
+  `(
+    'returns $message for unknown user when language is set to $language',
+    async ({ language, message }) => {
+      const response = await getUser(5, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns 200 when an active user exists', async () => {
+    await addUsers(1);
+    const user = await User.findOne();
+    const response = await getUser(user.id);
+    expect(response.status).toBe(200);
+  });
+
+  it('returns id, username, image and follow counts in response body when an active user exists', async () => {
+    await addUsers(1);
+    const user = await User.findOne();
+    const response = await getUser(user.id);
+    expect(Object.keys(response.body)).toEqual([
+      'id',
+      'username',
+      'image',
+      'followerCount',
+      'followingCount',
+    ]);
+  });
+
+  it('returns 404 when the user is inactive', async () => {
+    await addUsers(0, 1);
+    const user = await User.findOne();
+    const response = await getUser(user.id);
+    expect(response.status).toBe(404);
+  });
+});
@@ -1,11 +1,12 @@
 const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/user/User');
-const sequelize = require('../src/config/database');
+const migrator = require('../src/config/migrator');
 const nodemailerStub = require('nodemailer-stub');
+const EmailService = require('../src/email/EmailService');
 
 beforeAll(() => {
-  return sequelize.sync();
+  return migrator.up();
 });
 
 beforeEach(() => {
@@ -92,31 +93,37 @@ describe('User Registration', () => {
 
   const username_null = 'Username cannot be null';
   const username_size = 'Must have minimum 4 and maximum 32 characters';
+  const username_invalid = 'Username must be text';
   const email_null = 'E-mail cannot be null';
   const email_invalid = 'E-mail is not valid';
   const email_in_use = 'E-mail in use';
   const password_null = 'Password cannot be null';
   const password_size = 'Password must be at least 6 characters long';
+  const password_invalid = 'Password must be text';
   const password_pattern =
     'Password must have at least one uppercase, one lowercase and one number';
 
   it.each`
-    field         | value              | expectedMessage
-    ${'username'} | ${null}            | ${username_null}
-    ${'username'} | ${'usr'}           | ${username_size}
-    ${'username'} | ${'a'.repeat(33)}  | ${username_size}
-    ${'email'}    | ${null}            | ${email_null}
-    ${'email'}    | ${`mail.com`}      | ${email_invalid}
-    ${'email'}    | ${`user.mail.com`} | ${email_invalid}
-    ${'email'}    | ${`user@mail`}     | ${email_invalid}
-    ${'password'} | ${null}            | ${password_null}
-    ${'password'} | ${'P4ssw'}         | ${password_size}
-    ${'password'} | ${'alllowercase'}  | ${password_pattern}
-    ${'password'} | ${'ALLUPPERCASE'}  | ${password_pattern}
-    ${'password'} | ${'123456789'}     | ${password_pattern}
-    ${'password'} | ${'lowerandUPPER'} | ${password_pattern}
-    ${'password'} | ${'lowerand123'}   | ${password_pattern}
-    ${'password'} | ${'UPPERAND123'}   | ${password_pattern}
+    field         | value               | expectedMessage
+    ${'username'} | ${null}             | ${username_null}
+    ${'username'} | ${'usr'}            | ${username_size}
+    ${'username'} | ${'a'.repeat(33)}   | ${username_size}
+    ${'username'} | ${['abcd']}         | ${username_invalid}
+    ${'username'} | ${{ name: 'abcd' }} | ${username_invalid}
+    ${'email'}    | ${null}             | ${email_null}
+    ${'email'}    | ${`mail.com`}       | ${email_invalid}
+    ${'email'}    | ${`user.mail.com`}  | ${email_invalid}
+    ${'email'}    | ${`user@mail`}      | ${email_invalid}
+    ${'email'}    | ${['x@mail.com']}   | ${email_invalid}
+    ${'password'} | ${null}             | ${password_null}
+    ${'password'} | ${'P4ssw'}          | ${password_size}
+    ${'password'} | ${['P4ssword']}     | ${password_invalid}
+    ${'password'} | ${'alllowercase'}   | ${password_pattern}
+    ${'password'} | ${'ALLUPPERCASE'}   | ${password_pattern}
+    ${'password'} | ${'123456789'}      | ${password_pattern}
+    ${'password'} | ${'lowerandUPPER'}  | ${password_pattern}
+    ${'password'} | ${'lowerand123'}    | ${password_pattern}
+    ${'password'} | ${'UPPERAND123'}    | ${password_pattern}
   `(
     // Test description, which can access to the actual values of $field and $expectedMessage
     'returns $expectedMessage when $field is $value',
@@ -181,7 +188,150 @@ describe('User Registration', () => {
     // Checks the activationToken
     const users = await User.findAll();
     const savedUser = users[0];
-    expect(lastMail.content).toContain(savedUser.activationToken);
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining(savedUser.activationToken),
+    );
+  });
+});
+
+describe('Activation e-mail content', () => {
+  it('sends the activation e-mail as html and plain text', async () => {
+    await postUser();
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.contentType).toBe('multipart/alternative');
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining('<a href='),
+    );
+  });
+
+  it('sends a clickable activation link built from the client base url', async () => {
+    await postUser();
+    const [savedUser] = await User.findAll();
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining(
+        `<a href="http://localhost:8080/login?token=${savedUser.activationToken}">`,
+      ),
+    );
+  });
+
+  it.each`
+    language | subject
+    ${'en'}  | ${'Account Activation'}
+    ${'es'}  | ${'Activación de cuenta'}
+  `(
+    'sends the activation e-mail with subject $subject when language is $language',
+    async ({ language, subject }) => {
+      await postUser({ ...validUser }, { language });
+      const lastMail = nodemailerStub.interactsWithMail.lastMail();
+      expect(lastMail.subject).toBe(subject);
+    },
+  );
+});
+
+describe('Activation e-mail failure', () => {
+  const mockSendFailure = () =>
+    jest
+      .spyOn(EmailService, 'sendAccountActivation')
+      .mockRejectedValue({ message: 'Failed to deliver email' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns 502 Bad Gateway when sending email fails', async () => {
+    mockSendFailure();
+    const response = await postUser();
+    expect(response.status).toBe(502);
+  });
+
+  it('returns Email failure message when sending email fails', async () => {
+    mockSendFailure();
+    const response = await postUser();
+    expect(response.body.message).toBe('E-mail Failure');
+  });
+
+  it('returns Email failure message in Spanish when language is set as Spanish', async () => {
+    mockSendFailure();
+    const response = await postUser({ ...validUser }, { language: 'es' });
+    expect(response.body.message).toBe('Fallo al enviar el e-mail');
+  });
+
+  it('does not save user to database if activation email fails', async () => {
+    mockSendFailure();
+    await postUser();
+    const users = await User.findAll();
+    expect(users.length).toBe(0);
+  });
+
+  it('accepts the same e-mail again after a failed registration', async () => {
+    mockSendFailure();
+    await postUser();
+    jest.restoreAllMocks();
+    const response = await postUser();
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Error Model', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns path, timestamp, message and validationErrors in response when validation failure', async () => {
+    const response = await postUser({ ...validUser, username: null });
+    const body = response.body;
+    expect(Object.keys(body)).toEqual([
+      'path',
+      'timestamp',
+      'message',
+      'validationErrors',
+    ]);
+  });
+
+  it('returns path, timestamp and message in response when request fails other than validation error', async () => {
+    const response = await request(app).post('/api/1.0/users/token/abcd');
+    const body = response.body;
+    expect(Object.keys(body)).toEqual(['path', 'timestamp', 'message']);
+  });
+
+  it('returns path in error body', async () => {
+    const response = await request(app).post('/api/1.0/users/token/abcd');
+    expect(response.body.path).toBe('/api/1.0/users/token/abcd');
+  });
+
+  it('returns timestamp in milliseconds within 5 seconds value in error body', async () => {
+    const nowInMillis = new Date().getTime();
+    const fiveSecondsLater = nowInMillis + 5 * 1000;
+    const response = await request(app).post('/api/1.0/users/token/abcd');
+    const body = response.body;
+    expect(body.timestamp).toBeGreaterThan(nowInMillis);
+    expect(body.timestamp).toBeLessThan(fiveSecondsLater);
+  });
+
+  it('returns 500 with a generic message when an unexpected error occurs', async () => {
+    jest
+      .spyOn(User, 'findOne')
+      .mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+    const response = await request(app).post('/api/1.0/users/token/abcd');
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe(
+      'Unexpected error, please try again later',
+    );
+  });
+
+  it('does not return validationErrors for an unexpected error carrying errors', async () => {
+    const err = new Error('Validation error');
+    err.errors = [{ path: 'email', message: 'email must be unique' }];
+    jest.spyOn(User, 'findOne').mockRejectedValueOnce(err);
+    const response = await request(app).post('/api/1.0/users/token/abcd');
+    expect(response.status).toBe(500);
+    expect(response.body.validationErrors).toBeUndefined();
+  });
+
+  it('returns "Validation Failure" message in error response body for validation failure', async () => {
+    const response = await postUser({ ...validUser, username: null });
+    expect(response.body.message).toBe('Validation Failure');
   });
 });
 
@@ -189,32 +339,38 @@ describe('Internationalization', () => {
   const username_null = 'Nombre de usuario no puede ser nulo';
   const username_size =
     'Nombre de usuario tiene que tener mínimo 4 y máximo 32 caracteres';
+  const username_invalid = 'Nombre de usuario tiene que ser texto';
   const email_null = 'E-mail no puede ser nulo';
   const email_invalid = 'E-mail inválido';
   const email_in_use = 'E-mail ya existe';
   const password_null = 'Contraseña no puede ser nula';
   const password_size = 'Contraseña tiene que tener por lo menos 6 caracteres';
+  const password_invalid = 'Contraseña tiene que ser texto';
   const password_pattern =
     'Contraseña tiene que tener por lo menos una mayúscula, una minúscula y un número';
   const user_create_success = 'Usuario creado';
 
   it.each`
-    field         | value              | expectedMessage
-    ${'username'} | ${null}            | ${username_null}
-    ${'username'} | ${'usr'}           | ${username_size}
-    ${'username'} | ${'a'.repeat(33)}  | ${username_size}
-    ${'email'}    | ${null}            | ${email_null}
-    ${'email'}    | ${`mail.com`}      | ${email_invalid}
-    ${'email'}    | ${`user.mail.com`} | ${email_invalid}
-    ${'email'}    | ${`user@mail`}     | ${email_invalid}
-    ${'password'} | ${null}            | ${password_null}
-    ${'password'} | ${'P4ssw'}         | ${password_size}
-    ${'password'} | ${'alllowercase'}  | ${password_pattern}
-    ${'password'} | ${'ALLUPPERCASE'}  | ${password_pattern}
-    ${'password'} | ${'123456789'}     | ${password_pattern}
-    ${'password'} | ${'lowerandUPPER'} | ${password_pattern}
-    ${'password'} | ${'lowerand123'}   | ${password_pattern}
-    ${'password'} | ${'UPPERAND123'}   | ${password_pattern}
+    field         | value               | expectedMessage
+    ${'username'} | ${null}             | ${username_null}
+    ${'username'} | ${'usr'}            | ${username_size}
+    ${'username'} | ${'a'.repeat(33)}   | ${username_size}
+    ${'username'} | ${['abcd']}         | ${username_invalid}
+    ${'username'} | ${{ name: 'abcd' }} | ${username_invalid}
+    ${'email'}    | ${null}             | ${email_null}
+    ${'email'}    | ${`mail.com`}       | ${email_invalid}
+    ${'email'}    | ${`user.mail.com`}  | ${email_invalid}
+    ${'email'}    | ${`user@mail`}      | ${email_invalid}
+    ${'email'}    | ${['x@mail.com']}   | ${email_invalid}
+    ${'password'} | ${null}             | ${password_null}
+    ${'password'} | ${'P4ssw'}          | ${password_size}
+    ${'password'} | ${['P4ssword']}     | ${password_invalid}
+    ${'password'} | ${'alllowercase'}   | ${password_pattern}
+    ${'password'} | ${'ALLUPPERCASE'}   | ${password_pattern}
+    ${'password'} | ${'123456789'}      | ${password_pattern}
+    ${'password'} | ${'lowerandUPPER'}  | ${password_pattern}
+    ${'password'} | ${'lowerand123'}    | ${password_pattern}
+    ${'password'} | ${'UPPERAND123'}    | ${password_pattern}
   `(
     // Test description, which can access to the actual values of $field and $expectedMessage
     'returns $expectedMessage when $field is $value when language is set as Spanish',
@@ -244,3 +400,141 @@ describe('Internationalization', () => {
     expect(response.body.message).toBe(user_create_success);
   });
 });
+
+describe('Account activation', () => {
+  const activateAccount = (token, options = {}) => {
+    const agent = request(app).post('/api/1.0/users/token/' + token);
+    if (options.language) {
+      agent.set('Accept-Language', options.language);
+    }
+    return agent.send();
+  };
+
+  it('activates the account when correct token is sent', async () => {
+    await postUser();
+    let users = await User.findAll();
+    const token = users[0].activationToken;
+
+    await activateAccount(token);
+    users = await User.findAll();
+    expect(users[0].inactive).toBe(false);
+  });
+
+  it('removes the token from user table after successful activation', async () => {
+    await postUser();
+    let users = await User.findAll();
+    const token = users[0].activationToken;
+
+    await activateAccount(token);
+    users = await User.findAll();
+    expect(users[0].activationToken).toBeFalsy();
+  });
+
+  it('does not activate the account when token is wrong', async () => {
+    await postUser();
+    const token = 'this-token-does-not-exist';
+
+    await activateAccount(token);
+    const users = await User.findAll();
+    expect(users[0].inactive).toBe(true);
+  });
+
+  it('returns bad request when token is wrong', async () => {
+    await postUser();
+    const response = await activateAccount('this-token-does-not-exist');
+    expect(response.status).toBe(400);
+  });
+
+  it('returns bad request when token has already been used', async () => {
+    await postUser();
+    const users = await User.findAll();
+    const token = users[0].activationToken;
+
+    await activateAccount(token);
+    const response = await activateAccount(token);
+    expect(response.status).toBe(400);
+  });
+
+  it('does not activate the account when token has expired', async () => {
+    await postUser();
+    const users = await User.findAll();
+    const user = users[0];
+    user.activationTokenExpiresAt = new Date(Date.now() - 1000);
+    await user.save();
+
+    const response = await activateAccount(user.activationToken);
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    expect(response.status).toBe(400);
+    expect(userInDB.inactive).toBe(true);
+  });
+
+  it.each`
+    language | tokenStatus  | message
+    ${'es'}  | ${'wrong'}   | ${'Esta cuenta ya está activa o el token es inválido'}
+    ${'en'}  | ${'wrong'}   | ${'This account is either active or the token is invalid'}
+    ${'es'}  | ${'correct'} | ${'La cuenta ha sido activada'}
+    ${'en'}  | ${'correct'} | ${'Account is activated'}
+    ${'es'}  | ${'expired'} | ${'El token de activación ha caducado, por favor solicita uno nuevo'}
+    ${'en'}  | ${'expired'} | ${'Activation token has expired, please request a new one'}
+  `(
+    'returns $message when token is $tokenStatus and language is $language',
+    async ({ language, tokenStatus, message }) => {
+      await postUser();
+      let token = 'this-token-does-not-exist';
+      if (tokenStatus !== 'wrong') {
+        const users = await User.findAll();
+        token = users[0].activationToken;
+      }
+      if (tokenStatus === 'expired') {
+        await User.update(
+          { activationTokenExpiresAt: new Date(Date.now() - 1000) },
+          { where: { activationToken: token } },
+        );
+      }
+      const response = await activateAccount(token, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe('Resend account activation', () => {
+  const postActivationRequest = (email = validUser.email) => {
+    return request(app).post('/api/1.0/users/activation').send({ email });
+  };
+
+  it('returns 200 ok with a generic message for an unknown e-mail', async () => {
+    const response = await postActivationRequest('unknown@mail.com');
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe(
+      'If the account exists and is not active yet, a new activation e-mail has been sent',
+    );
+  });
+
+  it('returns validation error when e-mail is invalid', async () => {
+    const response = await postActivationRequest('user.mail.com');
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.email).toBe('E-mail is not valid');
+  });
+
+  it('sends a new activation token to an inactive user', async () => {
+    await postUser();
+    const [user] = await User.findAll();
+    const oldToken = user.activationToken;
+
+    await postActivationRequest();
+    const userInDB = await User.findOne({ where: { id: user.id } });
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(userInDB.activationToken).not.toBe(oldToken);
+    expect(lastMail.to[0]).toBe(validUser.email);
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining(userInDB.activationToken),
+    );
+  });
+
+  it('does not generate a token for an already active user', async () => {
+    await User.create({ ...validUser, inactive: false });
+    await postActivationRequest();
+    const userInDB = await User.findOne({ where: { email: validUser.email } });
+    expect(userInDB.activationToken).toBeFalsy();
+  });
+});
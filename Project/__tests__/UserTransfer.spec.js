@@ -0,0 +1,318 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const nodemailerStub = require('nodemailer-stub');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const AuditLog = require('../src/admin/AuditLog');
+const migrator = require('../src/config/migrator');
+const csv = require('../src/shared/csv');
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(async () => {
+  await AuditLog.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const password = 'passworD987654';
+
+const loginAsAdmin = async () => {
+  const hash = await bcrypt.hash(password, 10);
+  await User.create({
+    username: 'admin',
+    email: 'admin@mail.com',
+    password: hash,
+    inactive: false,
+    role: 'admin',
+  });
+  const response = await request(app)
+    .post('/api/1.0/auth')
+    .send({ email: 'admin@mail.com', password });
+  return response.body.token;
+};
+
+const importUsers = (body, options = {}) => {
+  const agent = request(app)
+    .post('/api/1.0/admin/users/import')
+    .query(options.query || {});
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  if (options.csv) {
+    agent.set('Content-Type', 'text/csv');
+  }
+  return agent.send(body);
+};
+
+const exportUsers = (options = {}) => {
+  const agent = request(app)
+    .get('/api/1.0/admin/users/export')
+    .query(options.query || {});
+  if (options.token) {
+    agent.set('Authorization', `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+const tester = (i) => ({
+  username: `tester${i}`,
+  email: `tester${i}@mail.com`,
+  password: 'P4ssword',
+});
+
+describe('CSV', () => {
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    const records = csv.parse('a,"b,1","say ""hi""","two\r\nlines"\r\n');
+    expect(records).toEqual([['a', 'b,1', 'say "hi"', 'two\r\nlines']]);
+  });
+
+  it('maps the records to objects with the header names', () => {
+    const rows = csv.parseObjects('\uFEFFusername,email\nuser1,a@mail.com\n\n');
+    expect(rows).toEqual([{ username: 'user1', email: 'a@mail.com' }]);
+  });
+
+  it('quotes the values that need it when writing', () => {
+    const record = csv.formatRecord(['a', 'b,1', 'say "hi"', null, 5]);
+    expect(record).toBe('a,"b,1","say ""hi""",,5\r\n');
+  });
+});
+
+describe('User Import', () => {
+  it('returns 403 when request is sent by a user without admin role', async () => {
+    const hash = await bcrypt.hash(password, 10);
+    await User.create({ ...tester(1), password: hash, inactive: false });
+    const login = await request(app)
+      .post('/api/1.0/auth')
+      .send({ email: 'tester1@mail.com', password });
+    const response = await importUsers([tester(2)], {
+      token: login.body.token,
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('creates the users of a JSON array and reports the counts', async () => {
+    const token = await loginAsAdmin();
+    const response = await importUsers([tester(1), tester(2)], { token });
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      total: 2,
+      created: 2,
+      failed: 0,
+      errors: [],
+    });
+    const count = await User.count({ where: { role: 'user' } });
+    expect(count).toBe(2);
+  });
+
+  it('creates the users of a CSV body', async () => {
+    const token = await loginAsAdmin();
+    const body =
+      'username,email,password,language\r\n' +
+      'tester1,tester1@mail.com,P4ssword,es\r\n' +
+      'tester2,tester2@mail.com,P4ssword,\r\n';
+    const response = await importUsers(body, { token, csv: true });
+    expect(response.body.created).toBe(2);
+    const user = await User.findOne({ where: { username: 'tester1' } });
+    expect(user.language).toBe('es');
+  });
+
+  it('hashes the password of the imported users', async () => {
+    const token = await loginAsAdmin();
+    await importUsers([tester(1)], { token });
+    const user = await User.findOne({ where: { username: 'tester1' } });
+    expect(user.password).not.toBe('P4ssword');
+  });
+
+  it('creates inactive users and sends the activation e-mails by default', async () => {
+    const token = await loginAsAdmin();
+    await importUsers([tester(1)], { token });
+    const user = await User.findOne({ where: { username: 'tester1' } });
+    expect(user.inactive).toBe(true);
+    const lastMail = nodemailerStub.interactsWithMail.lastMail();
+    expect(lastMail.to[0]).toBe('tester1@mail.com');
+    expect(lastMail.contents).toContainEqual(
+      expect.stringContaining(user.activationToken),
+    );
+  });
+
+  it('creates active users without e-mail when skipActivationEmail is true', async () => {
+    const token = await loginAsAdmin();
+    nodemailerStub.interactsWithMail.flushMails();
+    await importUsers([tester(1)], {
+      token,
+      query: { skipActivationEmail: true },
+    });
+    const user = await User.findOne({ where: { username: 'tester1' } });
+    expect(user.inactive).toBe(false);
+    expect(user.activationToken).toBeNull();
+    expect(nodemailerStub.interactsWithMail.sentMailsCount()).toBe(0);
+  });
+
+  it('ignores the fields that are not part of the registration', async () => {
+    const token = await loginAsAdmin();
+    await importUsers([{ ...tester(1), role: 'admin', inactive: false }], {
+      token,
+    });
+    const user = await User.findOne({ where: { username: 'tester1' } });
+    expect(user.role).toBe('user');
+    expect(user.inactive).toBe(true);
+  });
+
+  it('reports the invalid rows without aborting the batch', async () => {
+    const token = await loginAsAdmin();
+    const response = await importUsers(
+      [
+        tester(1),
+        { ...tester(2), username: 'usr', email: 'mail.com' },
+        tester(3),
+        { ...tester(4), email: 'tester1@mail.com' },
+      ],
+      { token },
+    );
+    expect(response.body.total).toBe(4);
+    expect(response.body.created).toBe(2);
+    expect(response.body.failed).toBe(2);
+    expect(response.body.errors).toEqual([
+      {
+        row: 2,
+        message: 'Validation Failure',
+        validationErrors: {
+          username: 'Must have minimum 4 and maximum 32 characters',
+          email: 'E-mail is not valid',
+        },
+      },
+      {
+        row: 4,
+        message: 'Validation Failure',
+        validationErrors: { email: 'E-mail in use' },
+      },
+    ]);
+    const count = await User.count({ where: { role: 'user' } });
+    expect(count).toBe(2);
+  });
+
+  it.each`
+    field         | value               | message
+    ${'username'} | ${null}             | ${'Kullanıcı adı boş olamaz'}
+    ${'email'}    | ${'admin@mail.com'} | ${'Bu e-posta kullanılıyor'}
+    ${'password'} | ${'alllowercase'}   | ${'Şifrede en az bir büyük harf, bir küçük harf ve bir rakam olmalıdır'}
+    ${'language'} | ${'fr'}             | ${'Dil desteklenmiyor'}
+  `(
+    'returns $message for $field in the language of the request',
+    async ({ field, value, message }) => {
+      const token = await loginAsAdmin();
+      const response = await importUsers([{ ...tester(1), [field]: value }], {
+        token,
+        language: 'tr',
+      });
+      expect(response.body.errors[0].validationErrors[field]).toBe(message);
+    },
+  );
+
+  it('reports rows that are not objects', async () => {
+    const token = await loginAsAdmin();
+    const response = await importUsers(['tester1', tester(2)], { token });
+    expect(response.body.created).toBe(1);
+    expect(response.body.errors).toEqual([
+      { row: 1, message: 'Row must be an object with the user fields' },
+    ]);
+  });
+
+  it('returns 400 when the JSON body is not an array', async () => {
+    const token = await loginAsAdmin();
+    const response = await importUsers(tester(1), { token });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      'Import must be a JSON array of users or a CSV file with a header',
+    );
+  });
+
+  it('records the import in the audit log', async () => {
+    const token = await loginAsAdmin();
+    await importUsers([tester(1), { username: 'a' }], { token });
+    const log = await AuditLog.findOne();
+    expect(log.action).toBe('user_import');
+    expect(log.targetUserId).toBeNull();
+    expect(log.details).toEqual({ format: 'json', created: 1, failed: 1 });
+  });
+});
+
+describe('User Export', () => {
+  const addTesters = async (count) => {
+    const hash = await bcrypt.hash(password, 10);
+    for (let i = 1; i <= count; i++) {
+      await User.create({
+        ...tester(i),
+        password: hash,
+        activationToken: `token${i}`,
+        passwordResetToken: `reset${i}`,
+      });
+    }
+  };
+
+  it('returns 401 when request is sent without authentication', async () => {
+    const response = await exportUsers();
+    expect(response.status).toBe(401);
+  });
+
+  it('returns every user as a JSON attachment by default', async () => {
+    const token = await loginAsAdmin();
+    await addTesters(150);
+    const response = await exportUsers({ token });
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe(
+      'attachment; filename="users.json"',
+    );
+    const users = JSON.parse(response.text);
+    expect(users.length).toBe(151);
+    expect(Object.keys(users[1]).sort()).toEqual([
+      'createdAt',
+      'email',
+      'id',
+      'inactive',
+      'language',
+      'role',
+      'username',
+    ]);
+  });
+
+  it('returns the users as CSV when format is csv', async () => {
+    const token = await loginAsAdmin();
+    await addTesters(2);
+    const response = await exportUsers({ token, query: { format: 'csv' } });
+    expect(response.headers['content-type']).toContain('text/csv');
+    const rows = csv.parseObjects(response.text);
+    expect(rows.map((row) => row.username)).toEqual([
+      'admin',
+      'tester1',
+      'tester2',
+    ]);
+    expect(rows[1].inactive).toBe('true');
+  });
+
+  it('does not export password hashes or tokens', async () => {
+    const token = await loginAsAdmin();
+    await addTesters(1);
+    const json = await exportUsers({ token });
+    const csvResponse = await exportUsers({ token, query: { format: 'csv' } });
+    for (const text of [json.text, csvResponse.text]) {
+      expect(text).not.toContain('$2b$');
+      expect(text).not.toContain('token1');
+      expect(text).not.toContain('reset1');
+    }
+  });
+
+  it('returns validation error when format is not supported', async () => {
+    const token = await loginAsAdmin();
+    const response = await exportUsers({ token, query: { format: 'xml' } });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.format).toBe(
+      'Export format must be csv or json',
+    );
+  });
+});
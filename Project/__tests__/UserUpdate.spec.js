@@ -0,0 +1,327 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const app = require('../src/app');
+const User = require('../src/user/User');
+const migrator = require('../src/config/migrator');
+
+const { uploadDir, profileDir } = config.get('uploads');
+const profileFolder = path.join('.', uploadDir, profileDir);
+
+beforeAll(() => {
+  return migrator.up();
+});
+
+beforeEach(() => {
+  return User.destroy({ truncate: { cascade: true } });
+});
+
+afterAll(() => {
+  const files = fs.readdirSync(profileFolder);
+  for (const file of files) {
+    fs.unlinkSync(path.join(profileFolder, file));
+  }
+});
+
+const activeUser = {
+  username: 'user1',
+  email: 'user1@mail.com',
+  password: 'passworD987654',
+  inactive: false,
+};
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+  return await User.create(user);
+};
+
+const login = async (credentials) => {
+  const response = await request(app).post('/api/1.0/auth').send(credentials);
+  return response.body.token;
+};
+
+const putUser = async (id = 5, body = null, options = {}) => {
+  let token;
+  if (options.auth) {
+    token = await login(options.auth);
+  }
+  const agent = request(app).put('/api/1.0/users/' + id);
+  if (options.language) {
+    agent.set('Accept-Language', options.language);
+  }
+  if (token) {
+    agent.set('Authorization', `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const readFileAsBase64 = (file = 'test-png.png') => {
+  const filePath = path.join('.', '__tests__', 'resources', file);
+  return fs.readFileSync(filePath, { encoding: 'base64' });
+};
+
+const credentials = { email: 'user1@mail.com', password: 'passworD987654' };
+
+describe('User Update', () => {
+  it('returns forbidden when request sent without authorization', async () => {
+    const response = await putUser();
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${'es'}  | ${'No estás autorizado para actualizar el usuario'}
+    ${'en'}  | ${'You are not authorized to update user'}
+  `(
+    'returns error body with $message for unauthorized request when language is $language',
+    async ({ language, message }) => {
+      const response = await putUser(5, null, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it('returns forbidden when update request is sent for another user', async () => {
+    await addUser();
+    const userToBeUpdated = await addUser({
+      ...activeUser,
+      username: 'user2',
+      email: 'user2@mail.com',
+    });
+    const response = await putUser(userToBeUpdated.id, null, {
+      auth: credentials,
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('returns 200 ok when valid update request sent from authorized user', async () => {
+    const savedUser = await addUser();
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated' },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+  });
+
+  it('updates username in database when valid update request is sent from authorized user', async () => {
+    const savedUser = await addUser();
+    await putUser(
+      savedUser.id,
+      { username: 'user1-updated' },
+      { auth: credentials },
+    );
+    const inDBUser = await User.findOne({ where: { id: savedUser.id } });
+    expect(inDBUser.username).toBe('user1-updated');
+  });
+
+  it('returns only id, username and image in response body', async () => {
+    const savedUser = await addUser();
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64() },
+      { auth: credentials },
+    );
+    expect(Object.keys(response.body)).toEqual(['id', 'username', 'image']);
+  });
+
+  it('returns the id as a number', async () => {
+    const savedUser = await addUser();
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated' },
+      { auth: credentials },
+    );
+    expect(response.body.id).toBe(savedUser.id);
+  });
+
+  it('saves the image into the profile folder', async () => {
+    const savedUser = await addUser();
+    await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64() },
+      { auth: credentials },
+    );
+    const inDBUser = await User.findOne({ where: { id: savedUser.id } });
+    const profileImagePath = path.join(profileFolder, inDBUser.image);
+    expect(fs.existsSync(profileImagePath)).toBe(true);
+  });
+
+  it('removes the old image after user uploads a new one', async () => {
+    const savedUser = await addUser();
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64() },
+      { auth: credentials },
+    );
+    const firstImage = response.body.image;
+    await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64('test-jpg.jpg') },
+      { auth: credentials },
+    );
+    const profileImagePath = path.join(profileFolder, firstImage);
+    expect(fs.existsSync(profileImagePath)).toBe(false);
+  });
+
+  it('saves the new image when the old image file is already missing', async () => {
+    const savedUser = await addUser({
+      ...activeUser,
+      image: 'missing-profile-image',
+    });
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64() },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    expect(response.body.image).not.toBe('missing-profile-image');
+  });
+
+  it('keeps the old image when only the username is updated', async () => {
+    const savedUser = await addUser();
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64() },
+      { auth: credentials },
+    );
+    const firstImage = response.body.image;
+    await putUser(
+      savedUser.id,
+      { username: 'user1-updated2' },
+      { auth: credentials },
+    );
+    const inDBUser = await User.findOne({ where: { id: savedUser.id } });
+    expect(inDBUser.image).toBe(firstImage);
+  });
+
+  it('serves the saved profile image under /images', async () => {
+    const savedUser = await addUser();
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image: readFileAsBase64() },
+      { auth: credentials },
+    );
+    const imageResponse = await request(app).get(
+      '/images/' + response.body.image,
+    );
+    expect(imageResponse.status).toBe(200);
+    expect(imageResponse.headers['cache-control']).toBe(
+      'public, max-age=31536000',
+    );
+  });
+
+  it.each`
+    language | value             | message
+    ${'en'}  | ${null}           | ${'Username cannot be null'}
+    ${'en'}  | ${'usr'}          | ${'Must have minimum 4 and maximum 32 characters'}
+    ${'en'}  | ${'a'.repeat(33)} | ${'Must have minimum 4 and maximum 32 characters'}
+    ${'es'}  | ${null}           | ${'Nombre de usuario no puede ser nulo'}
+    ${'es'}  | ${'usr'}          | ${'Nombre de usuario tiene que tener mínimo 4 y máximo 32 caracteres'}
+  `(
+    'returns bad request with $message when username is updated with $value when language is $language',
+    async ({ language, value, message }) => {
+      const savedUser = await addUser();
+      const response = await putUser(
+        savedUser.id,
+        { username: value },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.username).toBe(message);
+    },
+  );
+
+  it('returns 200 when image size is exactly the limit', async () => {
+    const savedUser = await addUser();
+    const png = fs.readFileSync(
+      path.join('.', '__tests__', 'resources', 'test-png.png'),
+    );
+    const limit = config.get('uploads.profileImageMaxSizeInBytes');
+    const filling = Buffer.alloc(limit - 1 - png.length);
+    const image = Buffer.concat([png, filling]).toString('base64');
+    const response = await putUser(
+      savedUser.id,
+      { username: 'user1-updated', image },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+  });
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Your profile image cannot be bigger than 2MB'}
+    ${'es'}  | ${'Tu imagen de perfil no puede superar los 2MB'}
+  `(
+    'returns $message when image size exceeds the limit and language is $language',
+    async ({ language, message }) => {
+      const savedUser = await addUser();
+      const limit = config.get('uploads.profileImageMaxSizeInBytes');
+      const image = Buffer.alloc(limit + 1).toString('base64');
+      const response = await putUser(
+        savedUser.id,
+        { username: 'user1-updated', image },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.image).toBe(message);
+    },
+  );
+
+  it.each`
+    file              | status
+    ${'test-gif.gif'} | ${400}
+    ${'test-txt.txt'} | ${400}
+    ${'test-png.png'} | ${200}
+    ${'test-jpg.jpg'} | ${200}
+  `(
+    'returns $status when uploading $file as image',
+    async ({ file, status }) => {
+      const savedUser = await addUser();
+      const response = await putUser(
+        savedUser.id,
+        { username: 'user1-updated', image: readFileAsBase64(file) },
+        { auth: credentials },
+      );
+      expect(response.status).toBe(status);
+    },
+  );
+
+  it.each`
+    language | message
+    ${'en'}  | ${'Only JPEG or PNG files are allowed'}
+    ${'es'}  | ${'Solo se permiten archivos JPEG o PNG'}
+  `(
+    'returns $message when uploading an unsupported file and language is $language',
+    async ({ language, message }) => {
+      const savedUser = await addUser();
+      const response = await putUser(
+        savedUser.id,
+        { username: 'user1-updated', image: readFileAsBase64('test-gif.gif') },
+        { auth: credentials, language },
+      );
+      expect(response.body.validationErrors.image).toBe(message);
+    },
+  );
+
+  it.each`
+    language | image         | message
+    ${'en'}  | ${5}          | ${'Profile image is not valid'}
+    ${'es'}  | ${['image']}  | ${'La imagen de perfil no es válida'}
+    ${'tr'}  | ${{ a: 'b' }} | ${'Profil resmi geçerli değil'}
+  `(
+    'returns $message when image is $image and language is $language',
+    async ({ language, image, message }) => {
+      const savedUser = await addUser();
+      const response = await putUser(
+        savedUser.id,
+        { username: 'user1-updated', image },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.image).toBe(message);
+    },
+  );
+});
@@ -0,0 +1,16 @@
+// Usage: npm run check-locales. Exits with an error when a locale misses any key of locales/en/translation.json
+const LanguageService = require('./src/language/LanguageService');
+
+const missingKeys = LanguageService.findMissingKeys();
+const languages = Object.keys(missingKeys);
+
+if (languages.length === 0) {
+  console.log('All locales have every key');
+} else {
+  for (const language of languages) {
+    console.error(
+      `${language} is missing: ${missingKeys[language].join(', ')}`,
+    );
+  }
+  process.exitCode = 1;
+}
@@ -1,6 +1,27 @@
 const app = require('./src/app');
-const sequelize = require('./src/config/database');
+const migrator = require('./src/config/migrator');
+const TokenService = require('./src/auth/TokenService');
+const FileService = require('./src/file/FileService');
+const logger = require('./src/logging/logger');
+const NotificationServer = require('./src/notification/NotificationServer');
+const NotificationService = require('./src/notification/NotificationService');
 
-sequelize.sync({ force: true });
+const PORT = 3000;
 
-app.listen(3000, () => console.log('app is running!'));
+// Pending migrations are applied before the server starts, the existing data is kept between restarts
+migrator
+  .up()
+  .then(() => {
+    TokenService.scheduleCleanup();
+    FileService.scheduleCleanup();
+
+    const server = app.listen(PORT, () =>
+      logger.info('server_started', { port: PORT }),
+    );
+    NotificationServer.attach(server);
+    NotificationService.start();
+  })
+  .catch((err) => {
+    logger.error('startup_failed', { error: err.message, stack: err.stack });
+    process.exitCode = 1;
+  });
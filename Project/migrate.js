@@ -0,0 +1,4 @@
+// Usage: npm run migrate -- up | down | pending | executed. Run with --help to see every option
+const migrator = require('./src/config/migrator');
+
+migrator.runAsCLI();
@@ -0,0 +1,49 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.createTable('users', {
+    id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    username: {
+      type: Sequelize.STRING,
+    },
+    email: {
+      type: Sequelize.STRING,
+    },
+    password: {
+      type: Sequelize.STRING,
+    },
+    inactive: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: true,
+    },
+    activationToken: {
+      type: Sequelize.STRING,
+    },
+    activationTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    image: {
+      type: Sequelize.STRING,
+    },
+    passwordResetToken: {
+      type: Sequelize.STRING,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+};
+
+const down = async ({ context: { queryInterface } }) => {
+  await queryInterface.dropTable('users');
+};
+
+module.exports = { up, down };
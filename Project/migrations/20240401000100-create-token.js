@@ -0,0 +1,31 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.createTable('tokens', {
+    id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    token: {
+      type: Sequelize.STRING,
+    },
+    lastUsedAt: {
+      type: Sequelize.DATE,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onDelete: 'cascade',
+      onUpdate: 'cascade',
+    },
+  });
+};
+
+const down = async ({ context: { queryInterface } }) => {
+  await queryInterface.dropTable('tokens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.createTable('hoaxes', {
+    id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    content: {
+      type: Sequelize.TEXT,
+    },
+    timestamp: {
+      type: Sequelize.BIGINT,
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onDelete: 'cascade',
+      onUpdate: 'cascade',
+    },
+  });
+};
+
+const down = async ({ context: { queryInterface } }) => {
+  await queryInterface.dropTable('hoaxes');
+};
+
+module.exports = { up, down };
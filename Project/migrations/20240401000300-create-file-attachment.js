@@ -0,0 +1,34 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.createTable('fileAttachments', {
+    id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    filename: {
+      type: Sequelize.STRING,
+    },
+    uploadDate: {
+      type: Sequelize.DATE,
+    },
+    fileType: {
+      type: Sequelize.STRING,
+    },
+    hoaxId: {
+      type: Sequelize.INTEGER,
+      references: {
+        model: 'hoaxes',
+        key: 'id',
+      },
+      onDelete: 'cascade',
+      onUpdate: 'cascade',
+    },
+  });
+};
+
+const down = async ({ context: { queryInterface } }) => {
+  await queryInterface.dropTable('fileAttachments');
+};
+
+module.exports = { up, down };
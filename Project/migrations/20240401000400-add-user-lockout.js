@@ -0,0 +1,18 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.addColumn('users', 'failedLoginAttempts', {
+    type: Sequelize.INTEGER,
+    defaultValue: 0,
+  });
+  await queryInterface.addColumn('users', 'lockedUntil', {
+    type: Sequelize.DATE,
+  });
+};
+
+const down = async ({ context: { queryInterface, withoutForeignKeys } }) => {
+  await withoutForeignKeys(async () => {
+    await queryInterface.removeColumn('users', 'lockedUntil');
+    await queryInterface.removeColumn('users', 'failedLoginAttempts');
+  });
+};
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.addColumn('users', 'language', {
+    type: Sequelize.STRING,
+    defaultValue: 'en',
+  });
+};
+
+const down = async ({ context: { queryInterface, withoutForeignKeys } }) => {
+  await withoutForeignKeys(() =>
+    queryInterface.removeColumn('users', 'language'),
+  );
+};
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.addColumn('users', 'role', {
+    type: Sequelize.STRING,
+    defaultValue: 'user',
+  });
+  // The ids are not foreign keys, so the entries are kept after the admin or the target user is deleted
+  await queryInterface.createTable('auditLogs', {
+    id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    action: {
+      type: Sequelize.STRING,
+    },
+    adminId: {
+      type: Sequelize.INTEGER,
+    },
+    targetUserId: {
+      type: Sequelize.INTEGER,
+    },
+    details: {
+      type: Sequelize.JSON,
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+};
+
+const down = async ({ context: { queryInterface, withoutForeignKeys } }) => {
+  await queryInterface.dropTable('auditLogs');
+  await withoutForeignKeys(() => queryInterface.removeColumn('users', 'role'));
+};
+
+module.exports = { up, down };
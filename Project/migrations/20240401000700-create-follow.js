@@ -0,0 +1,48 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.createTable('follows', {
+    id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    followerId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onDelete: 'cascade',
+      onUpdate: 'cascade',
+    },
+    followedId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onDelete: 'cascade',
+      onUpdate: 'cascade',
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      allowNull: false,
+    },
+  });
+  // A user follows another one only once, the second index serves the follower lists and counts
+  await queryInterface.addIndex('follows', ['followerId', 'followedId'], {
+    unique: true,
+  });
+  await queryInterface.addIndex('follows', ['followedId']);
+  // The timeline reads the hoaxes of the followed users newest first
+  await queryInterface.addIndex('hoaxes', ['userId', 'id']);
+};
+
+const down = async ({ context: { queryInterface } }) => {
+  await queryInterface.removeIndex('hoaxes', ['userId', 'id']);
+  await queryInterface.dropTable('follows');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// E-mails saved before the normalization are lowercased first. If two accounts only differ in case the index cannot be created,
+// the migration then fails and the duplicates have to be merged by hand before running it again
+const up = async ({ context: { queryInterface } }) => {
+  await queryInterface.sequelize.query(
+    'UPDATE users SET email = LOWER(TRIM(email)) WHERE email IS NOT NULL',
+  );
+  await queryInterface.addIndex('users', ['email'], {
+    unique: true,
+    name: 'users_email_unique',
+  });
+};
+
+const down = async ({ context: { queryInterface } }) => {
+  await queryInterface.removeIndex('users', 'users_email_unique');
+};
+
+module.exports = { up, down };
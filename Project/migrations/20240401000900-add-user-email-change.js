@@ -0,0 +1,21 @@
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.addColumn('users', 'pendingEmail', {
+    type: Sequelize.STRING,
+  });
+  await queryInterface.addColumn('users', 'emailChangeToken', {
+    type: Sequelize.STRING,
+  });
+  await queryInterface.addColumn('users', 'emailChangeTokenExpiresAt', {
+    type: Sequelize.DATE,
+  });
+};
+
+const down = async ({ context: { queryInterface, withoutForeignKeys } }) => {
+  await withoutForeignKeys(async () => {
+    await queryInterface.removeColumn('users', 'emailChangeTokenExpiresAt');
+    await queryInterface.removeColumn('users', 'emailChangeToken');
+    await queryInterface.removeColumn('users', 'pendingEmail');
+  });
+};
+
+module.exports = { up, down };
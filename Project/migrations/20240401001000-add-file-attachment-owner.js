@@ -0,0 +1,28 @@
+// Attachments uploaded before this migration have no owner, so they cannot be linked to a hoax anymore. The cleanup removes them
+const up = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.addColumn('fileAttachments', 'userId', {
+    type: Sequelize.INTEGER,
+    references: {
+      model: 'users',
+      key: 'id',
+    },
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  });
+};
+
+const down = async ({ context: { queryInterface, Sequelize } }) => {
+  await queryInterface.removeColumn('fileAttachments', 'userId');
+  // SQLite copies the table to remove the column and the copy loses the cascade of the hoax reference, so it is set again
+  await queryInterface.changeColumn('fileAttachments', 'hoaxId', {
+    type: Sequelize.INTEGER,
+    references: {
+      model: 'hoaxes',
+      key: 'id',
+    },
+    onDelete: 'cascade',
+    onUpdate: 'cascade',
+  });
+};
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Usage: npm run seed -- <count>. Creates <count> active users that can log in with the password P4ssword
+const bcrypt = require('bcrypt');
+const migrator = require('./src/config/migrator');
+const User = require('./src/user/User');
+
+const seed = async (count) => {
+  await migrator.up();
+  const hash = await bcrypt.hash('P4ssword', 10);
+  // Numbered after the highest id and the e-mails already registered are skipped, so the unique e-mail index is not hit
+  const existingEmails = new Set(
+    (await User.findAll({ attributes: ['email'], raw: true })).map(
+      (user) => user.email,
+    ),
+  );
+  let number = (await User.max('id')) || 0;
+  const users = [];
+  while (users.length < count) {
+    number++;
+    const email = `user${number}@mail.com`;
+    if (existingEmails.has(email)) {
+      continue;
+    }
+    users.push({
+      username: `user${number}`,
+      email,
+      password: hash,
+      inactive: false,
+    });
+  }
+  await User.bulkCreate(users);
+  console.log(`${count} users created`);
+};
+
+const count = Number.parseInt(process.argv[2]);
+seed(Number.isNaN(count) ? 25 : count).catch((err) => {
+  console.error(`Seeding failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,29 @@
+// Usage: npm run set-role -- <email> <admin | user>. The API cannot grant roles, so admins are appointed from the command line
+const migrator = require('./src/config/migrator');
+const UserService = require('./src/user/UserService');
+
+const ROLES = ['admin', 'user'];
+
+const setRole = async (email, role) => {
+  if (!email || !ROLES.includes(role)) {
+    console.log('Usage: npm run set-role -- <email> <admin | user>');
+    process.exitCode = 1;
+    return;
+  }
+  await migrator.up();
+  // The e-mails are stored normalized, so User@Mail.com finds user@mail.com
+  const user = await UserService.findByEmail(email);
+  if (!user) {
+    console.log(`No user with the e-mail ${email}`);
+    process.exitCode = 1;
+    return;
+  }
+  user.role = role;
+  await user.save();
+  console.log(`${email} is now ${role}`);
+};
+
+setRole(process.argv[2], process.argv[3]).catch((err) => {
+  console.error(`Setting the role failed: ${err.message}`);
+  process.exitCode = 1;
+});
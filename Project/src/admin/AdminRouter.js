@@ -0,0 +1,160 @@
+const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { query, validationResult } = require('express-validator');
+const AdminService = require('./AdminService');
+const UserTransferService = require('./UserTransferService');
+const pagination = require('../middleware/pagination');
+const adminAuthorization = require('../middleware/adminAuthorization');
+const security = require('../middleware/security');
+const ValidationException = require('../error/ValidationException');
+const router = express.Router();
+
+// Every admin route needs an authenticated admin, so the check runs before any validation
+router.use('/api/1.0/admin', adminAuthorization);
+
+router.get(
+  '/api/1.0/admin/users',
+  pagination,
+  query('username').optional(),
+  query('email').optional(),
+  query('inactive')
+    .optional()
+    .isBoolean()
+    .withMessage('inactive_invalid')
+    .toBoolean(true),
+  query(['createdAfter', 'createdBefore'])
+    .optional()
+    .isISO8601()
+    .withMessage('date_invalid')
+    .toDate(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    const { page, size } = req.pagination;
+    try {
+      const users = await AdminService.searchUsers(page, size, req.query);
+      return res.send(users);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// JSON bodies are an array of users, CSV bodies have a header with the field names
+router.post(
+  '/api/1.0/admin/users/import',
+  security.csvBody,
+  query('skipActivationEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('skip_activation_email_invalid')
+    .toBoolean(true),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      const format = req.is('text/csv') ? 'csv' : 'json';
+      const rows = UserTransferService.readRows(req.body, format);
+      const result = await UserTransferService.importUsers(rows, {
+        skipActivationEmail: req.query.skipActivationEmail,
+      });
+      await AdminService.record('user_import', req.authenticatedUser, null, {
+        format,
+        created: result.created,
+        failed: result.failed,
+      });
+      return res.send(UserTransferService.localize(result, req.t));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get(
+  '/api/1.0/admin/users/export',
+  query('format')
+    .optional()
+    .isIn(UserTransferService.FORMATS)
+    .withMessage('export_format_unsupported'),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    const format = req.query.format || 'json';
+    try {
+      await AdminService.record('user_export', req.authenticatedUser, null, {
+        format,
+      });
+      res.attachment(`users.${format}`);
+      await pipeline(
+        Readable.from(UserTransferService.exportUsers(format)),
+        res,
+      );
+    } catch (err) {
+      // Once the first rows are sent the status cannot change anymore, the connection is closed by the pipeline
+      if (!res.headersSent) {
+        next(err);
+      }
+    }
+  },
+);
+
+router.post('/api/1.0/admin/users/:id/activate', async (req, res, next) => {
+  try {
+    await AdminService.setInactive(req.params.id, false, req.authenticatedUser);
+    return res.send({ message: req.t('admin_user_activated') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/api/1.0/admin/users/:id/deactivate', async (req, res, next) => {
+  try {
+    await AdminService.setInactive(req.params.id, true, req.authenticatedUser);
+    return res.send({ message: req.t('admin_user_deactivated') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/api/1.0/admin/users/:id/password-reset',
+  async (req, res, next) => {
+    try {
+      await AdminService.forcePasswordReset(
+        req.params.id,
+        req.authenticatedUser,
+      );
+      return res.send({ message: req.t('admin_password_reset') });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.delete('/api/1.0/admin/users/:id', async (req, res, next) => {
+  try {
+    await AdminService.deleteUser(req.params.id, req.authenticatedUser);
+    return res.send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/api/1.0/admin/audit-logs', pagination, async (req, res, next) => {
+  const { page, size } = req.pagination;
+  try {
+    const logs = await AdminService.getAuditLogs(page, size);
+    return res.send(logs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const Sequelize = require('sequelize');
+const bcrypt = require('bcrypt');
+const User = require('../user/User');
+const UserService = require('../user/UserService');
+const AuditLog = require('./AuditLog');
+const EmailService = require('../email/EmailService');
+const EmailException = require('../email/EmailException');
+const TokenService = require('../auth/TokenService');
+const UserNotFoundException = require('../user/UserNotFoundException');
+const ForbiddenException = require('../auth/ForbiddenException');
+const { randomString } = require('../shared/generator');
+const { events, publish } = require('../events/eventBus');
+
+const isAdmin = async (id) => {
+  const user = await User.findOne({ where: { id: id }, attributes: ['role'] });
+  return user !== null && user.role === 'admin';
+};
+
+// Unlike the public listing, inactive users and the e-mails are visible to the admins
+const searchUsers = async (page, size, filters) => {
+  const where = {};
+  if (filters.username) {
+    where.username = { [Sequelize.Op.substring]: filters.username };
+  }
+  if (filters.email) {
+    where.email = { [Sequelize.Op.substring]: filters.email };
+  }
+  if (filters.inactive !== undefined) {
+    where.inactive = filters.inactive;
+  }
+  if (filters.createdAfter || filters.createdBefore) {
+    where.createdAt = {};
+    if (filters.createdAfter) {
+      where.createdAt[Sequelize.Op.gte] = filters.createdAfter;
+    }
+    if (filters.createdBefore) {
+      where.createdAt[Sequelize.Op.lte] = filters.createdBefore;
+    }
+  }
+  const usersWithCount = await User.findAndCountAll({
+    where,
+    attributes: [
+      'id',
+      'username',
+      'email',
+      'image',
+      'inactive',
+      'role',
+      'createdAt',
+    ],
+    order: [['id', 'ASC']],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: usersWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(usersWithCount.count / size),
+  };
+};
+
+// The target is stored in the details as well, so the entry still says who it was after a hard delete. Bulk actions have no target
+const record = async (action, admin, user, details = {}) => {
+  await AuditLog.create({
+    action,
+    adminId: admin.id,
+    targetUserId: user ? user.id : null,
+    details: user
+      ? { username: user.username, email: user.email, ...details }
+      : details,
+  });
+};
+
+// Admins cannot lock themselves out, otherwise the last admin could leave the system without one
+const findTarget = async (id, admin, forbiddenMessage) => {
+  if (admin.id == id) {
+    throw new ForbiddenException(forbiddenMessage);
+  }
+  const user = await User.findOne({ where: { id: id } });
+  if (!user) {
+    throw new UserNotFoundException();
+  }
+  return user;
+};
+
+const setInactive = async (id, inactive, admin) => {
+  const user = await findTarget(id, admin, 'admin_self_action');
+  const activated = user.inactive && !inactive;
+  user.inactive = inactive;
+  if (!inactive) {
+    user.activationToken = null;
+    user.activationTokenExpiresAt = null;
+  }
+  await user.save();
+  // A deactivated user cannot log in again, the open sessions are closed as well
+  if (inactive) {
+    await TokenService.clearTokens(user.id);
+  }
+  await record(inactive ? 'user_deactivate' : 'user_activate', admin, user);
+  if (activated) {
+    publish(events.ACCOUNT_ACTIVATED, { userId: user.id });
+  }
+};
+
+// The current password stops working straight away, the user has to choose a new one through the reset mail
+const forcePasswordReset = async (id, admin) => {
+  const user = await findTarget(id, admin, 'admin_self_action');
+  user.password = await bcrypt.hash(randomString(32), 10);
+  user.passwordResetToken = randomString(16);
+  await user.save();
+  await TokenService.clearTokens(user.id);
+  await record('user_password_reset', admin, user);
+  try {
+    await EmailService.sendPasswordReset(
+      user.email,
+      user.passwordResetToken,
+      user.language,
+    );
+  } catch (err) {
+    throw new EmailException();
+  }
+};
+
+const deleteUser = async (id, admin) => {
+  const user = await findTarget(id, admin, 'admin_self_action');
+  await UserService.deleteUser(user.id);
+  await record('user_delete', admin, user);
+};
+
+// Newest entries come first
+const getAuditLogs = async (page, size) => {
+  const logsWithCount = await AuditLog.findAndCountAll({
+    attributes: [
+      'id',
+      'action',
+      'adminId',
+      'targetUserId',
+      'details',
+      'createdAt',
+    ],
+    order: [['id', 'DESC']],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: logsWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(logsWithCount.count / size),
+  };
+};
+
+module.exports = {
+  isAdmin,
+  record,
+  searchUsers,
+  setInactive,
+  forcePasswordReset,
+  deleteUser,
+  getAuditLogs,
+};
@@ -0,0 +1,31 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+class AuditLog extends Model {}
+
+AuditLog.init(
+  {
+    action: {
+      type: Sequelize.STRING,
+    },
+    adminId: {
+      type: Sequelize.INTEGER,
+    },
+    targetUserId: {
+      type: Sequelize.INTEGER,
+    },
+    details: {
+      type: Sequelize.JSON,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'auditLog',
+    // Entries are never changed after they are written
+    updatedAt: false,
+  },
+);
+
+module.exports = AuditLog;
@@ -0,0 +1,4 @@
+module.exports = function ImportException(message) {
+  this.message = message || 'import_format_invalid';
+  this.status = 400;
+};
@@ -0,0 +1,143 @@
+const Sequelize = require('sequelize');
+const { validationResult } = require('express-validator');
+const User = require('../user/User');
+const UserService = require('../user/UserService');
+const {
+  registrationValidation,
+  languageValidation,
+} = require('../user/UserValidation');
+const ImportException = require('./ImportException');
+const csv = require('../shared/csv');
+
+const FORMATS = ['json', 'csv'];
+
+// Password hashes and tokens never leave the database
+const EXPORT_ATTRIBUTES = [
+  'id',
+  'username',
+  'email',
+  'inactive',
+  'role',
+  'language',
+  'createdAt',
+];
+
+const EXPORT_BATCH_SIZE = 100;
+
+// JSON bodies are parsed by express already, CSV arrives as text
+const readRows = (content, format) => {
+  if (format === 'csv') {
+    if (typeof content !== 'string') {
+      throw new ImportException();
+    }
+    return csv.parseObjects(content);
+  }
+  if (!Array.isArray(content)) {
+    throw new ImportException();
+  }
+  return content;
+};
+
+// The chains of the registration route are run on every row, so an imported user passes the same rules as a registered one
+const validateRow = async (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { message: 'import_row_invalid' };
+  }
+  const req = { body: row };
+  for (const chain of [...registrationValidation(), languageValidation()]) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return null;
+  }
+  const validationErrors = {};
+  errors.array().forEach((error) => (validationErrors[error.path] = error.msg));
+  return { message: 'validation_failure', validationErrors };
+};
+
+// Rows are saved one after the other, so an e-mail repeated later in the batch is reported as in use. A failing row does not stop the others
+const importUsers = async (rows, options = {}) => {
+  const result = { total: rows.length, created: 0, failed: 0, errors: [] };
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    let error = await validateRow(row);
+    if (!error) {
+      try {
+        await UserService.save(row, row.language, options);
+      } catch (err) {
+        if (!err.status) {
+          throw err;
+        }
+        error = { message: err.message };
+        if (err.errors) {
+          error.validationErrors = {};
+          err.errors.forEach(
+            ({ path, msg }) => (error.validationErrors[path] = msg),
+          );
+        }
+      }
+    }
+    if (error) {
+      result.failed++;
+      result.errors.push({ row: index + 1, ...error });
+    } else {
+      result.created++;
+    }
+  }
+  return result;
+};
+
+// The service keeps the message keys, the caller translates them with the language of the request or of the command line
+const localize = (result, t) => {
+  return {
+    ...result,
+    errors: result.errors.map((error) => {
+      const localized = { ...error, message: t(error.message) };
+      if (error.validationErrors) {
+        localized.validationErrors = {};
+        for (const [field, key] of Object.entries(error.validationErrors)) {
+          localized.validationErrors[field] = t(key);
+        }
+      }
+      return localized;
+    }),
+  };
+};
+
+const formatBatch = (users, format, isFirstBatch) => {
+  if (format === 'csv') {
+    return users
+      .map((user) =>
+        csv.formatRecord(EXPORT_ATTRIBUTES.map((name) => user[name])),
+      )
+      .join('');
+  }
+  const json = users.map((user) => JSON.stringify(user)).join(',');
+  return isFirstBatch ? json : ',' + json;
+};
+
+// Users are read in batches ordered by id, so the whole table is never loaded in memory at once
+const exportUsers = async function* (format) {
+  yield format === 'csv' ? csv.formatRecord(EXPORT_ATTRIBUTES) : '[';
+  let lastId = 0;
+  for (;;) {
+    const users = await User.findAll({
+      where: { id: { [Sequelize.Op.gt]: lastId } },
+      attributes: EXPORT_ATTRIBUTES,
+      order: [['id', 'ASC']],
+      limit: EXPORT_BATCH_SIZE,
+    });
+    if (users.length === 0) {
+      break;
+    }
+    const plainUsers = users.map((user) => user.get({ plain: true }));
+    yield formatBatch(plainUsers, format, lastId === 0);
+    lastId = plainUsers[plainUsers.length - 1].id;
+  }
+  if (format === 'json') {
+    yield ']';
+  }
+};
+
+module.exports = { FORMATS, readRows, importUsers, localize, exportUsers };
@@ -1,31 +1,65 @@
 const express = require('express');
 const UserRouter = require('./user/UserRouter');
-const i18next = require('i18next');
-const Backend = require('i18next-fs-backend');
+const AuthenticationRouter = require('./auth/AuthenticationRouter');
+const HoaxRouter = require('./hoax/HoaxRouter');
+const FollowRouter = require('./follow/FollowRouter');
+const FileRouter = require('./file/FileRouter');
+const DocsRouter = require('./docs/DocsRouter');
+const LanguageRouter = require('./language/LanguageRouter');
+const AdminRouter = require('./admin/AdminRouter');
+const HealthRouter = require('./health/HealthRouter');
+const requestId = require('./middleware/requestId');
+const requestLogger = require('./middleware/requestLogger');
+const security = require('./middleware/security');
+const userLanguage = require('./middleware/userLanguage');
+const tokenAuthentication = require('./middleware/tokenAuthentication');
+const FileService = require('./file/FileService');
+const ErrorHandler = require('./error/ErrorHandler');
+const i18next = require('./config/i18n');
 const middleware = require('i18next-http-middleware');
 
-i18next
-  .use(Backend)
-  .use(middleware.LanguageDetector)
-  .init({
-    fallbackLng: 'en',
-    lng: 'en',
-    ns: ['translation'],
-    defaultNS: 'translation',
-    backend: {
-      loadPath: './locales/{{lng}}/{{ns}}.json',
-    },
-    detection: {
-      lookupHeader: 'accept-language',
-    },
-  });
+FileService.createFolders();
+
+const ONE_YEAR_IN_MILLIS = 365 * 24 * 60 * 60 * 1000;
 
 const app = express();
 
+app.disable('x-powered-by');
+
+// Registered first, so every response carries the id and is measured, including the static files and the errors
+app.use(requestId);
+app.use(requestLogger);
+
 app.use(middleware.handle(i18next));
 
-app.use(express.json());
+app.use(security.cors);
+app.use(security.securityHeaders);
+app.use(security.jsonBody);
+
+app.use(
+  '/images',
+  express.static(FileService.profileFolder, { maxAge: ONE_YEAR_IN_MILLIS }),
+);
+app.use(
+  '/attachments',
+  express.static(FileService.attachmentFolder, {
+    maxAge: ONE_YEAR_IN_MILLIS,
+  }),
+);
+
+app.use(tokenAuthentication);
+app.use(userLanguage);
 
 app.use(UserRouter);
+app.use(AuthenticationRouter);
+app.use(HoaxRouter);
+app.use(FollowRouter);
+app.use(FileRouter);
+app.use(DocsRouter);
+app.use(LanguageRouter);
+app.use(AdminRouter);
+app.use(HealthRouter);
+
+app.use(ErrorHandler);
 
 module.exports = app;
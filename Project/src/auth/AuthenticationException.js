@@ -0,0 +1,4 @@
+module.exports = function AuthenticationException(message) {
+  this.message = message || 'authentication_failure';
+  this.status = 401;
+};
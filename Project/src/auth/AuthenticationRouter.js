@@ -0,0 +1,85 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const config = require('config');
+const { check, validationResult } = require('express-validator');
+const UserService = require('../user/UserService');
+const TokenService = require('./TokenService');
+const AuthenticationException = require('./AuthenticationException');
+const ForbiddenException = require('./ForbiddenException');
+const { rateLimiter } = require('../ratelimit/rateLimiter');
+const { normalizeEmail } = require('../shared/normalize');
+const router = express.Router();
+
+const { maxFailedAttempts, lockDurationInMinutes } =
+  config.get('authentication');
+
+// After too many wrong passwords in a row the account is locked for a while, the counter starts again afterwards
+const registerFailedAttempt = async (user) => {
+  user.failedLoginAttempts += 1;
+  if (user.failedLoginAttempts >= maxFailedAttempts) {
+    user.lockedUntil = new Date(Date.now() + lockDurationInMinutes * 60 * 1000);
+    user.failedLoginAttempts = 0;
+  }
+  await user.save();
+};
+
+router.post(
+  '/api/1.0/auth',
+  rateLimiter('authentication'),
+  // Arrays are rejected before the lookup, isEmail would check each item and the query would match any of them
+  check('email').isString().bail().customSanitizer(normalizeEmail).isEmail(),
+  check('password').isString().bail().notEmpty(),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new AuthenticationException();
+      }
+      const { email, password } = req.body;
+      const user = await UserService.findByEmail(email);
+      if (!user) {
+        throw new AuthenticationException();
+      }
+      if (user.lockedUntil && user.lockedUntil > new Date()) {
+        throw new ForbiddenException('account_locked');
+      }
+      // bcrypt hashes the incoming password with the salt stored in the hash and compares the results
+      const match = await bcrypt.compare(password, user.password);
+      if (!match) {
+        await registerFailedAttempt(user);
+        throw new AuthenticationException();
+      }
+      if (user.failedLoginAttempts > 0) {
+        user.failedLoginAttempts = 0;
+        await user.save();
+      }
+      if (user.inactive) {
+        throw new ForbiddenException();
+      }
+      const token = await TokenService.createToken(user);
+      return res.send({
+        id: user.id,
+        username: user.username,
+        image: user.image,
+        token,
+      });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.post('/api/1.0/logout', async (req, res, next) => {
+  const authorization = req.headers.authorization;
+  try {
+    if (authorization) {
+      const token = authorization.substring(7); // Removes the "Bearer " prefix
+      await TokenService.deleteToken(token);
+    }
+    return res.send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
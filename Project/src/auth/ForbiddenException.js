@@ -0,0 +1,4 @@
+module.exports = function ForbiddenException(message) {
+  this.message = message || 'inactive_authentication_failure';
+  this.status = 403;
+};
@@ -0,0 +1,80 @@
+const config = require('config');
+const Sequelize = require('sequelize');
+const Token = require('./Token');
+const { randomString } = require('../shared/generator');
+const AuthenticationException = require('./AuthenticationException');
+const { events, publish } = require('../events/eventBus');
+const { scheduleHourly } = require('../shared/schedule');
+
+const authConfig = config.get('authentication');
+
+// A token stays valid while it keeps being used: every successful verification moves lastUsedAt forward
+const expiryLimit = () => {
+  return new Date(Date.now() - authConfig.tokenExpiryInHours * 60 * 60 * 1000);
+};
+
+const createToken = async (user) => {
+  const token = randomString(32);
+  await Token.create({
+    token,
+    userId: user.id,
+    lastUsedAt: new Date(),
+  });
+  return token;
+};
+
+const verify = async (token) => {
+  const tokenInDB = await Token.findOne({
+    where: {
+      token: token,
+      lastUsedAt: {
+        [Sequelize.Op.gt]: expiryLimit(),
+      },
+    },
+  });
+  if (!tokenInDB) {
+    throw new AuthenticationException();
+  }
+  tokenInDB.lastUsedAt = new Date();
+  await tokenInDB.save();
+  const userId = tokenInDB.userId;
+  return { id: userId };
+};
+
+// The open WebSockets were authenticated with the token, so they are told the session ended as well
+const deleteToken = async (token) => {
+  const tokenInDB = await Token.findOne({ where: { token: token } });
+  if (!tokenInDB) {
+    return;
+  }
+  await tokenInDB.destroy();
+  publish(events.SESSION_ENDED, { userId: tokenInDB.userId, token });
+};
+
+const clearTokens = async (userId) => {
+  await Token.destroy({ where: { userId: userId } });
+  publish(events.SESSION_ENDED, { userId });
+};
+
+const clearExpiredTokens = async () => {
+  await Token.destroy({
+    where: {
+      lastUsedAt: {
+        [Sequelize.Op.lt]: expiryLimit(),
+      },
+    },
+  });
+};
+
+const scheduleCleanup = () => {
+  return scheduleHourly(clearExpiredTokens, 'token_cleanup_failed');
+};
+
+module.exports = {
+  createToken,
+  verify,
+  deleteToken,
+  clearTokens,
+  clearExpiredTokens,
+  scheduleCleanup,
+};
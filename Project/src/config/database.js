@@ -1,7 +1,22 @@
 const Sequelize = require('sequelize');
 const config = require('config');
+const logger = require('../logging/logger');
 
 const dbConfig = config.get('database');
+const { slowQueryThresholdInMs } = config.get('logging');
+
+// Sequelize writes the values into the sql, so the string literals are left out. They hold tokens, hashes and e-mails
+const redact = (sql) => sql.replace(/'(?:[^']|'')*'/g, '?');
+
+// benchmark makes Sequelize pass the duration of each query. Slow queries are always logged, the others only when database.logging is on
+const logQuery = (rawSql, durationMs) => {
+  const sql = redact(rawSql);
+  if (durationMs >= slowQueryThresholdInMs) {
+    logger.warn('slow_query', { sql, durationMs });
+  } else if (dbConfig.logging) {
+    logger.debug('query', { sql, durationMs });
+  }
+};
 
 const sequelize = new Sequelize(
   dbConfig.database,
@@ -10,7 +25,8 @@ const sequelize = new Sequelize(
   {
     dialect: dbConfig.dialect,
     storage: dbConfig.storage,
-    logging: dbConfig.logging,
+    logging: logQuery,
+    benchmark: true,
   },
 );
 
@@ -1,6 +1,22 @@
 const nodemailer = require('nodemailer');
-const nodemailerStub = require('nodemailer-stub');
+const config = require('config');
 
-const transporter = nodemailer.createTransport(nodemailerStub.stubTransport);
+const mailConfig = config.get('mail');
+
+// Tests use the stub, other environments connect to the SMTP server in their config file
+const createTransport = () => {
+  if (mailConfig.transport === 'stub') {
+    const nodemailerStub = require('nodemailer-stub');
+    return nodemailer.createTransport(nodemailerStub.stubTransport);
+  }
+  return nodemailer.createTransport({
+    host: mailConfig.host,
+    port: mailConfig.port,
+    auth: mailConfig.auth,
+    tls: mailConfig.tls,
+  });
+};
+
+const transporter = createTransport();
 
 module.exports = transporter;
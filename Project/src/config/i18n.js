@@ -0,0 +1,27 @@
+const i18next = require('i18next');
+const Backend = require('i18next-fs-backend');
+const middleware = require('i18next-http-middleware');
+const LanguageService = require('../language/LanguageService');
+
+// Initialised here instead of in app.js so the command line scripts translate their messages as well
+i18next
+  .use(Backend)
+  .use(middleware.LanguageDetector)
+  .init({
+    fallbackLng: 'en',
+    lng: 'en',
+    supportedLngs: LanguageService.getSupportedLanguages(),
+    // Regional variants like es-ES are answered with the translation of their language
+    nonExplicitSupportedLngs: true,
+    preload: LanguageService.getSupportedLanguages(),
+    ns: ['translation'],
+    defaultNS: 'translation',
+    backend: {
+      loadPath: './locales/{{lng}}/{{ns}}.json',
+    },
+    detection: {
+      lookupHeader: 'accept-language',
+    },
+  });
+
+module.exports = i18next;
@@ -0,0 +1,49 @@
+const path = require('path');
+const Sequelize = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const config = require('config');
+const sequelize = require('./database');
+const logger = require('../logging/logger');
+
+const migrationsFolder = path.join(__dirname, '..', '..', 'migrations');
+
+// Umzug logs objects such as { event: 'migrated', name }, they become the fields of the log line
+const migrationLogger = {
+  debug: (event) => logger.debug('migration', event),
+  info: (event) => logger.info('migration', event),
+  warn: (event) => logger.warn('migration', event),
+  error: (event) => logger.error('migration', event),
+};
+
+// SQLite removes a column by copying the table and dropping the old one. With the foreign keys on, that drop would
+// delete the rows of every table referencing it, so the migrations rebuilding a table run their changes through this
+const withoutForeignKeys = async (change) => {
+  if (sequelize.getDialect() !== 'sqlite') {
+    return await change();
+  }
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    return await change();
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+// Applied migrations are recorded in the SequelizeMeta table, so each one runs only once per database
+const migrator = new Umzug({
+  migrations: {
+    glob: path.join(migrationsFolder, '*.js'),
+  },
+  context: {
+    queryInterface: sequelize.getQueryInterface(),
+    Sequelize,
+    withoutForeignKeys,
+  },
+  storage: new SequelizeStorage({ sequelize }),
+  create: {
+    folder: migrationsFolder,
+  },
+  logger: config.get('database.migrationLogging') ? migrationLogger : undefined,
+});
+
+module.exports = migrator;
@@ -0,0 +1,21 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const OpenApiGenerator = require('./OpenApiGenerator');
+const router = express.Router();
+
+const { DOCS_PATH } = OpenApiGenerator;
+
+router.get(`${DOCS_PATH}/openapi.json`, (req, res) => {
+  return res.send(OpenApiGenerator.generate(req.app));
+});
+
+// The UI loads the document from the route above, so it always shows the current routes
+router.use(
+  DOCS_PATH,
+  swaggerUi.serve,
+  swaggerUi.setup(null, {
+    swaggerOptions: { url: `${DOCS_PATH}/openapi.json` },
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const packageJson = require('../../package.json');
+
+const DOCS_PATH = '/api/1.0/docs';
+
+// Express keeps the routes of every mounted router in its stack, so new routes are picked up without extra work
+const collectRoutes = (stack, routes = []) => {
+  for (const layer of stack) {
+    if (layer.route) {
+      const paths = Array.isArray(layer.route.path)
+        ? layer.route.path
+        : [layer.route.path];
+      const methods = Object.keys(layer.route.methods).filter(
+        (method) => method !== '_all',
+      );
+      for (const path of paths) {
+        routes.push({ path, methods, handlers: layer.route.stack });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      collectRoutes(layer.handle.stack, routes);
+    }
+  }
+  return routes;
+};
+
+// Turns the items of an express-validator chain into a JSON schema
+const schemaOf = (contextStack) => {
+  const schema = { type: 'string' };
+  const messages = [];
+  let required = false;
+  for (const item of contextStack) {
+    // Several checks of a chain can share a message, like the type and the format of the e-mail
+    if (item.message && !messages.includes(item.message)) {
+      messages.push(item.message);
+    }
+    const name = item.validator && item.validator.name;
+    if (name === 'isEmpty' && item.negated) {
+      required = true;
+      schema.minLength = 1;
+    } else if (name === 'isLength') {
+      const { min, max } = item.options[0] || {};
+      if (min !== undefined) {
+        schema.minLength = min;
+      }
+      if (max !== undefined) {
+        schema.maxLength = max;
+      }
+    } else if (name === 'isEmail') {
+      schema.format = 'email';
+    } else if (name === 'matches') {
+      schema.pattern = String(item.options[0]);
+    } else if (name === 'isInt') {
+      schema.type = 'integer';
+    } else if (name === 'isBoolean') {
+      schema.type = 'boolean';
+    } else if (name === 'isISO8601') {
+      schema.format = 'date-time';
+    }
+  }
+  if (messages.length > 0) {
+    schema['x-validation-messages'] = messages;
+  }
+  return { schema, required };
+};
+
+const validationsOf = (handlers) => {
+  const fields = [];
+  for (const { handle } of handlers) {
+    if (!handle.builder) {
+      continue;
+    }
+    const context = handle.builder.build();
+    for (const field of context.fields) {
+      fields.push({
+        name: field,
+        // Chains built with query() only read the query string, whatever the method of the route
+        inQuery:
+          context.locations.length === 1 && context.locations[0] === 'query',
+        ...schemaOf(context.stack),
+      });
+    }
+  }
+  return fields;
+};
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParametersOf = (path) => {
+  const names = [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+  return names.map((name) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+};
+
+const operationOf = (path, method, handlers) => {
+  const operation = {
+    parameters: pathParametersOf(path),
+    responses: {
+      200: { description: 'Success' },
+      default: {
+        description: 'Error',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' },
+          },
+        },
+      },
+    },
+  };
+  const fields = validationsOf(handlers);
+  if (fields.length === 0) {
+    return operation;
+  }
+  const inQuery = (field) =>
+    field.inQuery || method === 'get' || method === 'delete';
+  for (const field of fields.filter(inQuery)) {
+    operation.parameters.push({
+      name: field.name,
+      in: 'query',
+      required: field.required,
+      schema: field.schema,
+    });
+  }
+  const bodyFields = fields.filter((field) => !inQuery(field));
+  if (bodyFields.length > 0) {
+    const properties = {};
+    const required = [];
+    for (const field of bodyFields) {
+      properties[field.name] = field.schema;
+      if (field.required) {
+        required.push(field.name);
+      }
+    }
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    operation.requestBody = {
+      content: { 'application/json': { schema } },
+    };
+  }
+  operation.responses[400] = {
+    description: 'Validation failure',
+    content: {
+      'application/json': {
+        schema: { $ref: '#/components/schemas/ValidationError' },
+      },
+    },
+  };
+  return operation;
+};
+
+const errorProperties = {
+  path: { type: 'string' },
+  timestamp: { type: 'integer' },
+  message: { type: 'string' },
+};
+
+const generate = (app) => {
+  const paths = {};
+  for (const route of collectRoutes(app._router.stack)) {
+    if (route.path.startsWith(DOCS_PATH)) {
+      continue;
+    }
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    for (const method of route.methods) {
+      paths[openApiPath][method] = operationOf(
+        route.path,
+        method,
+        route.handlers,
+      );
+    }
+  }
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: packageJson.name,
+      version: packageJson.version,
+      description: packageJson.description,
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+      },
+      schemas: {
+        Error: { type: 'object', properties: errorProperties },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            ...errorProperties,
+            validationErrors: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    // The token is optional for public routes, the routes that need it answer with 401 or 403
+    security: [{}, { bearerAuth: [] }],
+  };
+};
+
+module.exports = { generate, DOCS_PATH };
@@ -0,0 +1,4 @@
+module.exports = function EmailException() {
+  this.message = 'email_failure';
+  this.status = 502;
+};
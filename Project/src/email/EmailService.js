@@ -1,12 +1,49 @@
+const config = require('config');
 const transporter = require('../config/emailTransporter');
+const EmailTemplate = require('./EmailTemplate');
 
-const sendAccountActivation = async (email, token) => {
+const mailConfig = config.get('mail');
+
+const send = async (email, template, language, link) => {
+  const { subject, html, text } = EmailTemplate.render(
+    template,
+    language,
+    link,
+  );
   await transporter.sendMail({
-    from: 'My App <info@my-app.com>',
+    from: mailConfig.from,
     to: email,
-    subject: 'Account Activation',
-    html: `Token is ${token}`,
+    subject,
+    html,
+    text,
   });
 };
 
-module.exports = { sendAccountActivation };
+const sendAccountActivation = async (email, token, language) => {
+  const link = `${mailConfig.clientBaseUrl}/login?token=${token}`;
+  await send(email, 'account_activation', language, link);
+};
+
+const sendPasswordReset = async (email, token, language) => {
+  const link = `${mailConfig.clientBaseUrl}/password-reset?reset=${token}`;
+  await send(email, 'password_reset', language, link);
+};
+
+// The client has no page for this, so the link goes to the server which confirms the change and opens the client login
+const sendEmailChange = async (email, token, language) => {
+  const link = `${mailConfig.serverBaseUrl}/api/1.0/users/email/${token}`;
+  await send(email, 'email_change', language, link);
+};
+
+// Goes to the current address, the link lets the owner take the account back if the change was not requested by them
+const sendEmailChangeNotice = async (email, language) => {
+  const link = `${mailConfig.clientBaseUrl}/password-reset-request`;
+  await send(email, 'email_change_notice', language, link);
+};
+
+module.exports = {
+  sendAccountActivation,
+  sendPasswordReset,
+  sendEmailChange,
+  sendEmailChangeNotice,
+};
@@ -0,0 +1,21 @@
+const i18next = require('i18next');
+
+// The texts of each template live in the translation files under <template>_email_subject, _body and _action
+const render = (template, language, link) => {
+  const t = i18next.getFixedT(language);
+  const subject = t(`${template}_email_subject`);
+  const body = t(`${template}_email_body`);
+  const action = t(`${template}_email_action`);
+  const html = `<!DOCTYPE html>
+<html lang="${language}">
+  <body style="font-family: sans-serif">
+    <h2>${subject}</h2>
+    <p>${body}</p>
+    <p><a href="${link}">${action}</a></p>
+  </body>
+</html>`;
+  const text = `${subject}\n\n${body}\n\n${action}: ${link}`;
+  return { subject, html, text };
+};
+
+module.exports = { render };
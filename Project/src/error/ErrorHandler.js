@@ -0,0 +1,34 @@
+const logger = require('../logging/logger');
+const ValidationException = require('./ValidationException');
+
+// Every router passes its errors to next(err), so all of them share the same response body
+module.exports = (err, req, res, next) => {
+  // A streamed response like the export may fail after it started, Express then closes the connection itself
+  if (res.headersSent) {
+    return next(err);
+  }
+  // Errors without a status are not expected by the routers, so their message is not exposed. The log keeps the details
+  const status = err.status || 500;
+  const message = err.status ? err.message : 'unexpected_error';
+  if (!err.status) {
+    logger.error('unexpected_error', {
+      requestId: req.id,
+      error: err.message,
+      stack: err.stack,
+    });
+  }
+  // Other errors may carry an errors field as well, like the ones of Sequelize, only the validation failures are listed
+  let validationErrors;
+  if (err instanceof ValidationException) {
+    validationErrors = {};
+    err.errors.forEach(
+      (error) => (validationErrors[error.path] = req.t(error.msg)),
+    ); // error.path is the field, and the message will be error.msg
+  }
+  res.status(status).send({
+    path: req.originalUrl,
+    timestamp: new Date().getTime(),
+    message: req.t(message),
+    validationErrors,
+  });
+};
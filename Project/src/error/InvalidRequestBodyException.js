@@ -0,0 +1,4 @@
+module.exports = function InvalidRequestBodyException() {
+  this.message = 'request_body_invalid';
+  this.status = 400;
+};
@@ -0,0 +1,4 @@
+module.exports = function PayloadTooLargeException() {
+  this.message = 'payload_too_large';
+  this.status = 413;
+};
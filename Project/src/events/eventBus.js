@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+const logger = require('../logging/logger');
+
+// Services publish what happened without knowing who listens, the notifications are one of the subscribers
+const emitter = new EventEmitter();
+
+const events = {
+  HOAX_CREATED: 'hoax_created',
+  ACCOUNT_ACTIVATED: 'account_activated',
+  PASSWORD_CHANGED: 'password_changed',
+  SESSION_ENDED: 'session_ended',
+};
+
+// A failing subscriber is logged and does not affect the publisher or the other subscribers
+const subscribe = (event, handler) => {
+  const listener = async (payload) => {
+    try {
+      await handler(payload);
+    } catch (err) {
+      logger.error('event_handler_failed', {
+        event,
+        error: err.message,
+        stack: err.stack,
+      });
+    }
+  };
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+const publish = (event, payload) => {
+  emitter.emit(event, payload);
+};
+
+module.exports = { events, subscribe, publish };
@@ -0,0 +1,38 @@
+const express = require('express');
+const multer = require('multer');
+const config = require('config');
+const FileService = require('./FileService');
+const FileUploadException = require('./FileUploadException');
+const AuthenticationException = require('../auth/AuthenticationException');
+const router = express.Router();
+
+// The file is kept in memory so its content can be inspected before anything is written to disk
+const upload = multer({
+  limits: { fileSize: config.get('uploads.attachmentMaxSizeInBytes') },
+}).single('file');
+
+router.post('/api/1.0/hoaxes/attachments', (req, res, next) => {
+  // Checked before the upload is read, so anonymous requests cannot fill the disk
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException('unauthorized_attachment_upload'));
+  }
+  upload(req, res, async (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return next(new FileUploadException('attachment_size_limit'));
+    }
+    if (err || !req.file) {
+      return next(new FileUploadException('attachment_null'));
+    }
+    try {
+      const attachment = await FileService.saveAttachment(
+        req.file,
+        req.authenticatedUser.id,
+      );
+      return res.send(attachment);
+    } catch (err) {
+      next(err);
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const FileType = require('file-type');
+const Sequelize = require('sequelize');
+const FileAttachment = require('./FileAttachment');
+const Hoax = require('../hoax/Hoax');
+const { randomString } = require('../shared/generator');
+const { scheduleHourly } = require('../shared/schedule');
+
+const { uploadDir, profileDir, attachmentDir } = config.get('uploads');
+const profileFolder = path.join('.', uploadDir, profileDir);
+const attachmentFolder = path.join('.', uploadDir, attachmentDir);
+
+const createFolders = () => {
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir);
+  }
+  if (!fs.existsSync(profileFolder)) {
+    fs.mkdirSync(profileFolder);
+  }
+  if (!fs.existsSync(attachmentFolder)) {
+    fs.mkdirSync(attachmentFolder);
+  }
+};
+
+const saveProfileImage = async (base64File) => {
+  const filename = randomString(32);
+  const filePath = path.join(profileFolder, filename);
+  await fs.promises.writeFile(filePath, base64File, 'base64');
+  return filename;
+};
+
+// A file removed by hand must not block the update or the deletion of the account, so only other errors are thrown
+const deleteProfileImage = async (filename) => {
+  const filePath = path.join(profileFolder, filename);
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+};
+
+const isLessThanProfileImageLimit = (buffer) => {
+  return buffer.length < config.get('uploads.profileImageMaxSizeInBytes');
+};
+
+// The type is read from the file content (magic numbers), so renaming a file does not bypass the check
+const isSupportedImageType = async (buffer) => {
+  const type = await FileType.fromBuffer(buffer);
+  return !type
+    ? false
+    : type.mime === 'image/png' || type.mime === 'image/jpeg';
+};
+
+// The extension is taken from the detected type, so a renamed file is stored and served with its real type
+const saveAttachment = async (file, userId) => {
+  const type = await FileType.fromBuffer(file.buffer);
+  let fileType;
+  let filename = randomString(32);
+  if (type) {
+    fileType = type.mime;
+    filename += `.${type.ext}`;
+  }
+  await fs.promises.writeFile(
+    path.join(attachmentFolder, filename),
+    file.buffer,
+  );
+  const savedAttachment = await FileAttachment.create({
+    filename,
+    uploadDate: new Date(),
+    fileType: fileType,
+    userId: userId,
+  });
+  return { id: savedAttachment.id };
+};
+
+// The ids are sequential, so only the uploader can link an attachment. One already linked to another hoax cannot be reused
+const associateFileToHoax = async (attachmentId, hoaxId, userId) => {
+  const attachment = await FileAttachment.findOne({
+    where: { id: attachmentId },
+  });
+  if (!attachment || attachment.hoaxId || attachment.userId !== userId) {
+    return;
+  }
+  attachment.hoaxId = hoaxId;
+  await attachment.save();
+};
+
+const deleteAttachment = async (filename) => {
+  const filePath = path.join(attachmentFolder, filename);
+  try {
+    await fs.promises.access(filePath);
+    await fs.promises.unlink(filePath);
+  } catch (err) {
+    // The row is removed anyway, a file that is already gone must not stop the deletion of the hoax or the user
+  }
+};
+
+// Covers the uploads not linked yet and the attachments saved before they had an owner
+const deleteUserAttachments = async (userId) => {
+  const attachments = await FileAttachment.findAll({
+    attributes: ['filename'],
+    include: {
+      model: Hoax,
+      attributes: [],
+      required: false,
+    },
+    where: {
+      [Sequelize.Op.or]: [{ userId: userId }, { '$hoax.userId$': userId }],
+    },
+  });
+  for (const attachment of attachments) {
+    await deleteAttachment(attachment.filename);
+  }
+};
+
+// Attachments uploaded but never linked to a hoax are removed once they are older than the configured lifetime
+const removeUnusedAttachments = async () => {
+  const lifetimeInMillis =
+    config.get('uploads.unusedAttachmentLifetimeInHours') * 60 * 60 * 1000;
+  const oldestAllowedUpload = new Date(Date.now() - lifetimeInMillis);
+  const attachments = await FileAttachment.findAll({
+    where: {
+      uploadDate: {
+        [Sequelize.Op.lt]: oldestAllowedUpload,
+      },
+      hoaxId: {
+        [Sequelize.Op.is]: null,
+      },
+    },
+  });
+  for (const attachment of attachments) {
+    await deleteAttachment(attachment.filename);
+    await attachment.destroy();
+  }
+};
+
+const scheduleCleanup = () => {
+  return scheduleHourly(removeUnusedAttachments, 'attachment_cleanup_failed');
+};
+
+module.exports = {
+  createFolders,
+  saveProfileImage,
+  deleteProfileImage,
+  isLessThanProfileImageLimit,
+  isSupportedImageType,
+  saveAttachment,
+  associateFileToHoax,
+  deleteAttachment,
+  deleteUserAttachments,
+  removeUnusedAttachments,
+  scheduleCleanup,
+  profileFolder,
+  attachmentFolder,
+};
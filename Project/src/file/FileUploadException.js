@@ -0,0 +1,4 @@
+module.exports = function FileUploadException(message) {
+  this.message = message;
+  this.status = 400;
+};
@@ -0,0 +1,18 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+
+const Model = Sequelize.Model;
+
+// followerId follows followedId, the associations with User are declared in User.js
+class Follow extends Model {}
+
+Follow.init(
+  {},
+  {
+    sequelize,
+    modelName: 'follow',
+    updatedAt: false,
+  },
+);
+
+module.exports = Follow;
@@ -0,0 +1,59 @@
+const express = require('express');
+const FollowService = require('./FollowService');
+const pagination = require('../middleware/pagination');
+const AuthenticationException = require('../auth/AuthenticationException');
+const router = express.Router();
+
+router.post('/api/1.0/users/:id/follow', async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException('unauthorized_follow'));
+  }
+  try {
+    await FollowService.follow(req.authenticatedUser.id, req.params.id);
+    return res.send({ message: req.t('follow_success') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/api/1.0/users/:id/follow', async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException('unauthorized_follow'));
+  }
+  try {
+    await FollowService.unfollow(req.authenticatedUser.id, req.params.id);
+    return res.send({ message: req.t('unfollow_success') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get(
+  '/api/1.0/users/:id/followers',
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const users = await FollowService.getFollowers(req.params.id, page, size);
+      return res.send(users);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get(
+  '/api/1.0/users/:id/following',
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const users = await FollowService.getFollowing(req.params.id, page, size);
+      return res.send(users);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+module.exports = router;
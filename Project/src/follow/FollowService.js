@@ -0,0 +1,86 @@
+const Follow = require('./Follow');
+const User = require('../user/User');
+const UserService = require('../user/UserService');
+const ForbiddenException = require('../auth/ForbiddenException');
+
+// Only active users can be followed, the same rule as the user detail
+const follow = async (followerId, followedId) => {
+  if (followerId == followedId) {
+    throw new ForbiddenException('follow_self');
+  }
+  const followed = await UserService.getUser(followedId);
+  // Following twice is not an error, the client may not know the current state
+  await Follow.findOrCreate({
+    where: { followerId, followedId: followed.id },
+  });
+};
+
+const unfollow = async (followerId, followedId) => {
+  await Follow.destroy({ where: { followerId, followedId } });
+};
+
+const getFollowedIds = async (followerId) => {
+  const follows = await Follow.findAll({
+    where: { followerId },
+    attributes: ['followedId'],
+  });
+  return follows.map((follow) => follow.followedId);
+};
+
+// Deactivated users are left out of the counts, so they match the lists
+const countActive = (where, as) => {
+  return Follow.count({
+    where,
+    include: { model: User, as, where: { inactive: false }, attributes: [] },
+  });
+};
+
+const getCounts = async (userId) => {
+  return {
+    followerCount: await countActive({ followedId: userId }, 'follower'),
+    followingCount: await countActive({ followerId: userId }, 'followed'),
+  };
+};
+
+const listUsers = async (userId, page, size, direction) => {
+  const { where, as } =
+    direction === 'followers'
+      ? { where: { followedId: userId }, as: 'follower' }
+      : { where: { followerId: userId }, as: 'followed' };
+  await UserService.getUser(userId);
+  const followsWithCount = await Follow.findAndCountAll({
+    where,
+    attributes: [],
+    include: {
+      model: User,
+      as,
+      where: { inactive: false },
+      attributes: ['id', 'username', 'image'],
+    },
+    // The latest follows come first
+    order: [['id', 'DESC']],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: followsWithCount.rows.map((follow) => follow[as]),
+    page,
+    size,
+    totalPages: Math.ceil(followsWithCount.count / size),
+  };
+};
+
+const getFollowers = (userId, page, size) =>
+  listUsers(userId, page, size, 'followers');
+
+const getFollowing = (userId, page, size) =>
+  listUsers(userId, page, size, 'following');
+
+module.exports = {
+  follow,
+  unfollow,
+  getFollowedIds,
+  getCounts,
+  getFollowers,
+  getFollowing,
+};
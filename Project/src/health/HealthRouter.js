@@ -0,0 +1,21 @@
+const express = require('express');
+const HealthService = require('./HealthService');
+const metrics = require('../metrics/metrics');
+const router = express.Router();
+
+// Both routes are meant for the load balancer and the monitoring, they stay outside of the versioned api
+router.get('/health', async (req, res, next) => {
+  try {
+    const health = await HealthService.check();
+    return res.status(health.status === 'up' ? 200 : 503).send(health);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  return res.send(metrics.render());
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const config = require('config');
+const sequelize = require('../config/database');
+const transporter = require('../config/emailTransporter');
+
+const CHECK_TIMEOUT_IN_MILLIS = 3000;
+
+// A check that does not answer in time counts as down, so the endpoint itself never hangs
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error('timeout')),
+      CHECK_TIMEOUT_IN_MILLIS,
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const checkDatabase = async () => {
+  await sequelize.authenticate({ logging: false });
+};
+
+// The stub used by the tests cannot be verified and never fails to send
+const checkMail = async () => {
+  if (config.get('mail.transport') === 'stub') {
+    return;
+  }
+  await transporter.verify();
+};
+
+const runCheck = async (check) => {
+  try {
+    await withTimeout(check());
+    return { status: 'up' };
+  } catch (err) {
+    return { status: 'down', error: err.message };
+  }
+};
+
+const check = async () => {
+  const checks = {
+    database: await runCheck(checkDatabase),
+    mail: await runCheck(checkMail),
+  };
+  const up = Object.values(checks).every((result) => result.status === 'up');
+  return { status: up ? 'up' : 'down', checks };
+};
+
+module.exports = { check };
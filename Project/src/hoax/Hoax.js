@@ -0,0 +1,33 @@
+const Sequelize = require('sequelize');
+const sequelize = require('../config/database');
+const FileAttachment = require('../file/FileAttachment');
+const { defineAssignableFields } = require('../shared/assignable');
+
+const Model = Sequelize.Model;
+
+class Hoax extends Model {}
+
+Hoax.init(
+  {
+    content: {
+      type: Sequelize.TEXT,
+    },
+    timestamp: {
+      type: Sequelize.BIGINT,
+    },
+  },
+  {
+    sequelize,
+    modelName: 'hoax',
+    timestamps: false,
+  },
+);
+
+defineAssignableFields(Hoax, {
+  submission: ['content'],
+});
+
+Hoax.hasOne(FileAttachment, { onDelete: 'cascade', foreignKey: 'hoaxId' });
+FileAttachment.belongsTo(Hoax);
+
+module.exports = Hoax;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { check, query, validationResult } = require('express-validator');
+const HoaxService = require('./HoaxService');
+const pagination = require('../middleware/pagination');
+const AuthenticationException = require('../auth/AuthenticationException');
+const ForbiddenException = require('../auth/ForbiddenException');
+const ValidationException = require('../error/ValidationException');
+const router = express.Router();
+
+router.post(
+  '/api/1.0/hoaxes',
+  check('content')
+    .isLength({ min: 10, max: 5000 })
+    .withMessage('hoax_content_size')
+    .bail()
+    // isLength checks each item of an array, so the type is checked as well
+    .isString()
+    .withMessage('hoax_content_invalid'),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException('unauthorized_hoax_submit'));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await HoaxService.save(req.body, req.authenticatedUser);
+      return res.send({ message: req.t('hoax_submit_success') });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get(
+  ['/api/1.0/hoaxes', '/api/1.0/users/:userId/hoaxes'],
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const hoaxes = await HoaxService.getHoaxes(page, size, req.params.userId);
+      return res.send(hoaxes);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+const cursorValidation = (name) =>
+  query(name)
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('cursor_invalid')
+    .toInt();
+
+router.get(
+  '/api/1.0/timeline',
+  pagination,
+  cursorValidation('before'),
+  cursorValidation('after'),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException('unauthorized_timeline'));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    const { before, after } = req.query;
+    try {
+      const timeline = await HoaxService.getTimeline(
+        req.authenticatedUser.id,
+        { before, after },
+        req.pagination.size,
+      );
+      return res.send(timeline);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get(
+  '/api/1.0/timeline/count',
+  query('after')
+    .notEmpty()
+    .withMessage('cursor_null')
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage('cursor_invalid')
+    .toInt(),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException('unauthorized_timeline'));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      const count = await HoaxService.countNewer(
+        req.authenticatedUser.id,
+        req.query.after,
+      );
+      return res.send({ count });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.delete('/api/1.0/hoaxes/:hoaxId', async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new ForbiddenException('unauthorized_hoax_delete'));
+  }
+  try {
+    await HoaxService.deleteHoax(req.params.hoaxId, req.authenticatedUser.id);
+    return res.send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
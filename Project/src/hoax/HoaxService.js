@@ -0,0 +1,122 @@
+const Sequelize = require('sequelize');
+const Hoax = require('./Hoax');
+const User = require('../user/User');
+const UserService = require('../user/UserService');
+const FileService = require('../file/FileService');
+const FileAttachment = require('../file/FileAttachment');
+const ForbiddenException = require('../auth/ForbiddenException');
+const FollowService = require('../follow/FollowService');
+const { events, publish } = require('../events/eventBus');
+
+// The listings, the timeline and the pushed hoaxes have the same fields
+const hoaxAttributes = ['id', 'content', 'timestamp'];
+const hoaxIncludes = [
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'username', 'image'],
+  },
+  {
+    model: FileAttachment,
+    as: 'fileAttachment',
+    attributes: ['filename', 'fileType'],
+  },
+];
+
+const save = async (body, user) => {
+  const hoax = {
+    ...Hoax.pickAssignable('submission', body),
+    timestamp: Date.now(),
+    userId: user.id,
+  };
+  const { id } = await Hoax.create(hoax);
+  if (body.fileAttachment) {
+    await FileService.associateFileToHoax(body.fileAttachment, id, user.id);
+  }
+  publish(events.HOAX_CREATED, { hoaxId: id, userId: user.id });
+};
+
+// When a userId is given only the hoaxes of that user are listed. Newest hoaxes come first
+const getHoaxes = async (page, size, userId) => {
+  let where = {};
+  if (userId) {
+    const user = await UserService.getUser(userId);
+    where = { userId: user.id };
+  }
+  const hoaxesWithCount = await Hoax.findAndCountAll({
+    attributes: hoaxAttributes,
+    include: hoaxIncludes,
+    where,
+    order: [['id', 'DESC']],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: hoaxesWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(hoaxesWithCount.count / size),
+  };
+};
+
+// Ids grow with every hoax, so they work as cursors: before pages to older hoaxes, after to newer ones
+const timelineWhere = async (userId, { before, after }) => {
+  const id = {};
+  if (before) {
+    id[Sequelize.Op.lt] = before;
+  }
+  if (after) {
+    id[Sequelize.Op.gt] = after;
+  }
+  const where = { userId: await FollowService.getFollowedIds(userId) };
+  if (before || after) {
+    where.id = id;
+  }
+  return where;
+};
+
+// Newest hoaxes come first. With only after, the hoaxes right after the cursor are read, so no hoax is skipped when many are new
+const getTimeline = async (userId, cursors, size) => {
+  const readsForward = cursors.after && !cursors.before;
+  const hoaxes = await Hoax.findAll({
+    attributes: hoaxAttributes,
+    include: hoaxIncludes,
+    where: await timelineWhere(userId, cursors),
+    order: [['id', readsForward ? 'ASC' : 'DESC']],
+    limit: size,
+  });
+  return {
+    content: readsForward ? hoaxes.reverse() : hoaxes,
+    size,
+  };
+};
+
+// Only counts rows, so the client can poll it for the new hoaxes banner
+const countNewer = async (userId, after) => {
+  return await Hoax.count({ where: await timelineWhere(userId, { after }) });
+};
+
+const deleteHoax = async (hoaxId, userId) => {
+  const hoaxToBeDeleted = await Hoax.findOne({
+    where: { id: hoaxId, userId: userId },
+    include: { model: FileAttachment },
+  });
+  if (!hoaxToBeDeleted) {
+    throw new ForbiddenException('unauthorized_hoax_delete');
+  }
+  const hoaxJSON = hoaxToBeDeleted.get({ plain: true });
+  if (hoaxJSON.fileAttachment) {
+    await FileService.deleteAttachment(hoaxJSON.fileAttachment.filename);
+  }
+  await hoaxToBeDeleted.destroy();
+};
+
+module.exports = {
+  save,
+  getHoaxes,
+  getTimeline,
+  countNewer,
+  deleteHoax,
+  hoaxAttributes,
+  hoaxIncludes,
+};
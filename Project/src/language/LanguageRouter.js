@@ -0,0 +1,9 @@
+const express = require('express');
+const LanguageService = require('./LanguageService');
+const router = express.Router();
+
+router.get('/api/1.0/languages', (req, res) => {
+  return res.send(LanguageService.getLanguages());
+});
+
+module.exports = router;
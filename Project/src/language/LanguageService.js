@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+const localesFolder = path.join('.', 'locales');
+const REFERENCE_LANGUAGE = 'en';
+
+// Every folder under locales is a supported language, adding a translation does not need any code change
+const getSupportedLanguages = () => {
+  return fs
+    .readdirSync(localesFolder, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+};
+
+const readTranslation = (language) => {
+  const filePath = path.join(localesFolder, language, 'translation.json');
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const getLanguages = () => {
+  return getSupportedLanguages().map((language) => ({
+    language,
+    name: readTranslation(language).language_name,
+  }));
+};
+
+// Returns the keys of the english translation missing in each of the other languages
+const findMissingKeys = () => {
+  const referenceKeys = Object.keys(readTranslation(REFERENCE_LANGUAGE));
+  const missingKeys = {};
+  for (const language of getSupportedLanguages()) {
+    const translation = readTranslation(language);
+    const missing = referenceKeys.filter((key) => !(key in translation));
+    if (missing.length > 0) {
+      missingKeys[language] = missing;
+    }
+  }
+  return missingKeys;
+};
+
+module.exports = { getSupportedLanguages, getLanguages, findMissingKeys };
@@ -0,0 +1,35 @@
+const config = require('config');
+
+const loggingConfig = config.get('logging');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+let output = (line) => process.stdout.write(line + '\n');
+
+// Lets the tests read the lines instead of writing them to stdout
+const useOutput = (newOutput) => {
+  output = newOutput;
+};
+
+// One JSON object per line, so the log collector does not need to parse free text
+const log = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[loggingConfig.level]) {
+    return;
+  }
+  output(
+    JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...fields,
+    }),
+  );
+};
+
+module.exports = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+  useOutput,
+};
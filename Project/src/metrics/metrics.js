@@ -0,0 +1,127 @@
+// A minimal registry writing the Prometheus text format, the application only needs counters and histograms
+const metrics = [];
+
+const escape = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const labelsOf = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const pairs = entries.map(([name, value]) => `${name}="${escape(value)}"`);
+  return `{${pairs.join(',')}}`;
+};
+
+// Series are kept by their label values, so each combination of labels has its own value. Counters without labels start at 0
+const createCounter = (name, help, labelled = false) => {
+  const series = new Map();
+  const initialize = () => {
+    series.clear();
+    if (!labelled) {
+      series.set('', 0);
+    }
+  };
+  initialize();
+  const counter = {
+    inc: (labels = {}) => {
+      const key = labelsOf(labels);
+      series.set(key, (series.get(key) || 0) + 1);
+    },
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${key} ${value}`);
+      }
+      return lines;
+    },
+    reset: initialize,
+  };
+  metrics.push(counter);
+  return counter;
+};
+
+const createHistogram = (name, help, buckets) => {
+  const series = new Map();
+  const histogram = {
+    observe: (labels, value) => {
+      const key = labelsOf(labels);
+      if (!series.has(key)) {
+        series.set(key, {
+          labels,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bucket, index) => {
+        if (value <= bucket) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bucket, index) => {
+          const bucketLabels = labelsOf({ ...labels, le: bucket });
+          lines.push(`${name}_bucket${bucketLabels} ${counts[index]}`);
+        });
+        lines.push(
+          `${name}_bucket${labelsOf({ ...labels, le: '+Inf' })} ${count}`,
+        );
+        lines.push(`${name}_sum${labelsOf(labels)} ${sum}`);
+        lines.push(`${name}_count${labelsOf(labels)} ${count}`);
+      }
+      return lines;
+    },
+    reset: () => series.clear(),
+  };
+  metrics.push(histogram);
+  return histogram;
+};
+
+const render = () => {
+  return metrics.map((metric) => metric.render().join('\n')).join('\n') + '\n';
+};
+
+const reset = () => {
+  metrics.forEach((metric) => metric.reset());
+};
+
+const httpRequestsTotal = createCounter(
+  'http_requests_total',
+  'Number of HTTP requests by method, route and status',
+  true,
+);
+
+const httpRequestDurationSeconds = createHistogram(
+  'http_request_duration_seconds',
+  'Duration of the HTTP requests in seconds by method and route',
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+);
+
+const userRegistrationsTotal = createCounter(
+  'user_registrations_total',
+  'Number of users registered',
+);
+
+const userActivationsTotal = createCounter(
+  'user_activations_total',
+  'Number of accounts activated with the activation token',
+);
+
+module.exports = {
+  render,
+  reset,
+  httpRequestsTotal,
+  httpRequestDurationSeconds,
+  userRegistrationsTotal,
+  userActivationsTotal,
+};
@@ -0,0 +1,20 @@
+const AdminService = require('../admin/AdminService');
+const AuthenticationException = require('../auth/AuthenticationException');
+const ForbiddenException = require('../auth/ForbiddenException');
+
+// The role is read from the database on every request, so a demoted admin loses the access straight away
+const adminAuthorization = async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException('unauthorized_admin'));
+  }
+  try {
+    if (!(await AdminService.isAdmin(req.authenticatedUser.id))) {
+      return next(new ForbiddenException('unauthorized_admin'));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = adminAuthorization;
@@ -0,0 +1,20 @@
+// Reads page and size from the query string, falling back to the defaults when they are missing, not numbers or out of range
+const pagination = (req, res, next) => {
+  const pageAsNumber = Number.parseInt(req.query.page);
+  const sizeAsNumber = Number.parseInt(req.query.size);
+
+  let page = Number.isNaN(pageAsNumber) ? 0 : pageAsNumber;
+  if (page < 0) {
+    page = 0;
+  }
+
+  let size = Number.isNaN(sizeAsNumber) ? 10 : sizeAsNumber;
+  if (size > 10 || size < 1) {
+    size = 10;
+  }
+
+  req.pagination = { page, size };
+  next();
+};
+
+module.exports = pagination;
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// An id sent by a proxy in front of the application is kept, so the same request can be followed through both logs
+const VALID_REQUEST_ID = /^[\w-]{1,64}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = VALID_REQUEST_ID.test(incoming || '')
+    ? incoming
+    : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
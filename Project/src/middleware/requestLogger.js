@@ -0,0 +1,51 @@
+const logger = require('../logging/logger');
+const metrics = require('../metrics/metrics');
+
+const matches = (pattern, path) => {
+  const regexp = new RegExp('^' + pattern.replace(/:\w+/g, '[^/]+') + '/?$');
+  return regexp.test(path);
+};
+
+// The route pattern is used instead of the url, otherwise every user id would become its own series in the metrics.
+// Routes with several paths report the one matching the url. The url is not logged either, it may hold activation or e-mail change tokens
+const routeOf = (req) => {
+  if (!req.route) {
+    return req.baseUrl || 'unmatched';
+  }
+  const pattern = req.route.path;
+  if (!Array.isArray(pattern)) {
+    return pattern;
+  }
+  const path = req.originalUrl.split('?')[0];
+  return (
+    pattern.find((candidate) => matches(candidate, path)) || pattern.join('|')
+  );
+};
+
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationInSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = routeOf(req);
+    metrics.httpRequestsTotal.inc({
+      method: req.method,
+      route,
+      status: res.statusCode,
+    });
+    metrics.httpRequestDurationSeconds.observe(
+      { method: req.method, route },
+      durationInSeconds,
+    );
+    logger.info('request', {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationInSeconds * 1000),
+      userId: req.authenticatedUser ? req.authenticatedUser.id : undefined,
+    });
+  });
+  next();
+};
+
+module.exports = requestLogger;
@@ -0,0 +1,80 @@
+const express = require('express');
+const config = require('config');
+const { DOCS_PATH } = require('../docs/OpenApiGenerator');
+const PayloadTooLargeException = require('../error/PayloadTooLargeException');
+const InvalidRequestBodyException = require('../error/InvalidRequestBodyException');
+
+const securityConfig = config.get('security');
+
+const ALLOWED_METHODS = 'GET,POST,PUT,DELETE';
+const ALLOWED_HEADERS =
+  'Authorization,Content-Type,Accept-Language,X-Request-Id';
+// The client reads these headers, browsers hide every response header that is not listed
+const EXPOSED_HEADERS = 'X-Request-Id,Retry-After';
+const PREFLIGHT_MAX_AGE_IN_SECONDS = 600;
+
+// Only the origins of the config get the CORS headers. Authentication uses the Authorization header, so no credentials are allowed
+const cors = (req, res, next) => {
+  const origin = req.get('Origin');
+  if (!origin || !securityConfig.corsOrigins.includes(origin)) {
+    return next();
+  }
+  res.vary('Origin');
+  res.set('Access-Control-Allow-Origin', origin);
+  res.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+  if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+    res.set('Access-Control-Allow-Methods', ALLOWED_METHODS);
+    res.set('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+    res.set('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE_IN_SECONDS));
+    return res.status(204).send();
+  }
+  next();
+};
+
+// The api only returns JSON and files, so nothing may be loaded or framed by its responses. The documentation page needs its own scripts
+const securityHeaders = (req, res, next) => {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('X-Frame-Options', 'DENY');
+  res.set('Referrer-Policy', 'no-referrer');
+  res.set('Cross-Origin-Resource-Policy', 'same-site');
+  if (!req.path.startsWith(DOCS_PATH)) {
+    res.set(
+      'Content-Security-Policy',
+      "default-src 'none'; frame-ancestors 'none'",
+    );
+  }
+  if (securityConfig.hsts) {
+    res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+  next();
+};
+
+// The body parsers report their errors with english texts, they are replaced by messages from the translation files
+const toLocalizedError = (err) => {
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeException();
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new InvalidRequestBodyException();
+  }
+  return err;
+};
+
+const withLocalizedErrors = (parser) => (req, res, next) => {
+  parser(req, res, (err) => (err ? next(toLocalizedError(err)) : next()));
+};
+
+// The limit is above the default 100kb so base64 encoded profile images fit in the body
+const jsonBody = withLocalizedErrors(
+  express.json({ limit: securityConfig.bodyLimit }),
+);
+const csvBody = withLocalizedErrors(
+  express.text({ type: 'text/csv', limit: securityConfig.bodyLimit }),
+);
+
+module.exports = {
+  cors,
+  securityHeaders,
+  jsonBody,
+  csvBody,
+};
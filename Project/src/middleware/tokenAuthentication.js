@@ -0,0 +1,17 @@
+const TokenService = require('../auth/TokenService');
+
+// Attaches the owner of a valid Bearer token to the request. Routers decide for themselves whether authentication is required
+const tokenAuthentication = async (req, res, next) => {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    const token = authorization.substring(7);
+    try {
+      req.authenticatedUser = await TokenService.verify(token);
+    } catch (err) {
+      // An invalid or expired token leaves the request unauthenticated, the routers answer it like a request without token
+    }
+  }
+  next();
+};
+
+module.exports = tokenAuthentication;
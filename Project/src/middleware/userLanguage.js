@@ -0,0 +1,22 @@
+const User = require('../user/User');
+
+// Requests without Accept-Language are answered in the language saved for the authenticated user
+const userLanguage = async (req, res, next) => {
+  if (req.headers['accept-language'] || !req.authenticatedUser) {
+    return next();
+  }
+  try {
+    const user = await User.findOne({
+      where: { id: req.authenticatedUser.id },
+      attributes: ['language'],
+    });
+    if (user && user.language) {
+      await req.i18n.changeLanguage(user.language);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = userLanguage;
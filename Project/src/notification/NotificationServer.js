@@ -0,0 +1,137 @@
+const { WebSocketServer } = require('ws');
+const config = require('config');
+const TokenService = require('../auth/TokenService');
+const logger = require('../logging/logger');
+
+const notificationConfig = config.get('notifications');
+
+// The client reconnects after 1001 and 1006, after 4001 it has to log in again to get a new token
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_SESSION_ENDED = 4001;
+
+// Every user has a channel with the sockets of each of their open tabs and devices
+const channels = new Map();
+
+let webSocketServer;
+let heartbeat;
+
+const tokenOf = (req, url) => {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.substring(7);
+  }
+  // Browsers cannot set headers on a WebSocket, so the token can come in the query string as well
+  return url.searchParams.get('token');
+};
+
+const reject = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+const join = (ws, userId, token) => {
+  ws.userId = userId;
+  ws.token = token;
+  ws.isAlive = true;
+  if (!channels.has(userId)) {
+    channels.set(userId, new Set());
+  }
+  channels.get(userId).add(ws);
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+  ws.on('close', () => {
+    const channel = channels.get(userId);
+    channel.delete(ws);
+    if (channel.size === 0) {
+      channels.delete(userId);
+    }
+  });
+  ws.send(JSON.stringify({ event: 'connected', data: { userId } }));
+};
+
+const handleUpgrade = async (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== notificationConfig.path) {
+    return reject(socket, 404, 'Not Found');
+  }
+  let user;
+  try {
+    const token = tokenOf(req, url);
+    user = token && (await TokenService.verify(token));
+    if (!user) {
+      return reject(socket, 401, 'Unauthorized');
+    }
+    webSocketServer.handleUpgrade(req, socket, head, (ws) =>
+      join(ws, user.id, token),
+    );
+  } catch (err) {
+    reject(socket, 401, 'Unauthorized');
+  }
+};
+
+// Sockets that did not answer the previous ping are considered lost, so their channel does not keep growing
+const checkConnections = () => {
+  for (const channel of channels.values()) {
+    for (const ws of channel) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+};
+
+// Shares the port of the HTTP server, the upgrade requests are answered here instead of by express
+const attach = (server) => {
+  webSocketServer = new WebSocketServer({ noServer: true });
+  server.on('upgrade', handleUpgrade);
+  heartbeat = setInterval(
+    checkConnections,
+    notificationConfig.heartbeatIntervalInSeconds * 1000,
+  );
+  heartbeat.unref();
+};
+
+const sendToUser = (userId, event, data) => {
+  const channel = channels.get(userId);
+  if (!channel) {
+    return;
+  }
+  const message = JSON.stringify({ event, data });
+  for (const ws of channel) {
+    ws.send(message);
+  }
+};
+
+// With a token only the sockets opened with it are closed, otherwise every socket of the user
+const closeSessions = (userId, token) => {
+  const channel = channels.get(userId);
+  if (!channel) {
+    return;
+  }
+  for (const ws of channel) {
+    if (!token || ws.token === token) {
+      ws.close(CLOSE_SESSION_ENDED, 'session_ended');
+    }
+  }
+};
+
+const close = () => {
+  clearInterval(heartbeat);
+  if (!webSocketServer) {
+    return;
+  }
+  for (const channel of channels.values()) {
+    for (const ws of channel) {
+      ws.close(CLOSE_GOING_AWAY, 'server_shutdown');
+    }
+  }
+  webSocketServer.close();
+  webSocketServer = undefined;
+  logger.info('notification_server_closed');
+};
+
+module.exports = { attach, sendToUser, closeSessions, close };
@@ -0,0 +1,67 @@
+const { events, subscribe } = require('../events/eventBus');
+const NotificationServer = require('./NotificationServer');
+const Hoax = require('../hoax/Hoax');
+const User = require('../user/User');
+const Follow = require('../follow/Follow');
+const { hoaxAttributes, hoaxIncludes } = require('../hoax/HoaxService');
+
+// The hoax is sent with the same fields as the timeline, so the client can add it without another request
+const notifyFollowers = async ({ hoaxId, userId }) => {
+  const followers = await Follow.findAll({
+    where: { followedId: userId },
+    attributes: ['followerId'],
+  });
+  if (followers.length === 0) {
+    return;
+  }
+  const hoax = await Hoax.findOne({
+    where: { id: hoaxId },
+    attributes: hoaxAttributes,
+    include: hoaxIncludes,
+  });
+  for (const { followerId } of followers) {
+    NotificationServer.sendToUser(followerId, events.HOAX_CREATED, hoax);
+  }
+};
+
+// An inactive account has no session, so the activation cannot be pushed to its owner. The admins follow it instead
+const notifyAdmins = async ({ userId }) => {
+  const admins = await User.findAll({
+    where: { role: 'admin' },
+    attributes: ['id'],
+  });
+  if (admins.length === 0) {
+    return;
+  }
+  const user = await User.findOne({
+    where: { id: userId },
+    attributes: ['id', 'username', 'image'],
+  });
+  for (const admin of admins) {
+    NotificationServer.sendToUser(admin.id, events.ACCOUNT_ACTIVATED, user);
+  }
+};
+
+const handlers = {
+  [events.HOAX_CREATED]: notifyFollowers,
+  [events.ACCOUNT_ACTIVATED]: notifyAdmins,
+  [events.PASSWORD_CHANGED]: ({ userId }) =>
+    NotificationServer.sendToUser(userId, events.PASSWORD_CHANGED, {}),
+  [events.SESSION_ENDED]: ({ userId, token }) =>
+    NotificationServer.closeSessions(userId, token),
+};
+
+let unsubscribers = [];
+
+const start = () => {
+  unsubscribers = Object.entries(handlers).map(([event, handler]) =>
+    subscribe(event, handler),
+  );
+};
+
+const stop = () => {
+  unsubscribers.forEach((unsubscribe) => unsubscribe());
+  unsubscribers = [];
+};
+
+module.exports = { start, stop };
@@ -0,0 +1,35 @@
+// Keeps the hit counters in the memory of this process. A shared store (e.g. Redis) can replace it by offering the same
+// async increment(key, windowInSeconds) => { count, resetAt } and reset(key) functions
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  const removeExpired = () => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  };
+  // unref lets the process exit even though the interval is still scheduled
+  setInterval(removeExpired, 60 * 1000).unref();
+
+  const increment = async (key, windowInSeconds) => {
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowInSeconds * 1000 };
+      hits.set(key, entry);
+    }
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  };
+
+  const reset = async (key) => {
+    hits.delete(key);
+  };
+
+  return { increment, reset };
+};
+
+module.exports = { createMemoryStore };
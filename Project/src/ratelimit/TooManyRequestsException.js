@@ -0,0 +1,4 @@
+module.exports = function TooManyRequestsException() {
+  this.message = 'too_many_requests';
+  this.status = 429;
+};
@@ -0,0 +1,58 @@
+const config = require('config');
+const { createMemoryStore } = require('./MemoryStore');
+const TooManyRequestsException = require('./TooManyRequestsException');
+const { normalizeEmail } = require('../shared/normalize');
+
+let store = createMemoryStore();
+
+// Lets the application switch to a store shared between several processes
+const useStore = (newStore) => {
+  store = newStore;
+};
+
+const limit = (name, max, windowInSeconds, keyOf) => {
+  return async (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) {
+      return next();
+    }
+    try {
+      const { count, resetAt } = await store.increment(
+        `${name}:${key}`,
+        windowInSeconds,
+      );
+      if (count > max) {
+        const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return next(new TooManyRequestsException());
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// Only a missing e-mail skips the limit. Other values like arrays are counted under their JSON text, so they cannot bypass it
+const emailOf = (req) => {
+  const email = req.body && req.body.email;
+  if (email === undefined || email === null) {
+    return undefined;
+  }
+  return typeof email === 'string'
+    ? normalizeEmail(email)
+    : JSON.stringify(email);
+};
+
+// Returns the middlewares limiting the requests per IP and per e-mail for one of the groups in the rateLimit config
+const rateLimiter = (group) => {
+  const { windowInSeconds, ipLimit, emailLimit } = config.get(
+    `rateLimit.${group}`,
+  );
+  return [
+    limit(`${group}:ip`, ipLimit, windowInSeconds, (req) => req.ip),
+    limit(`${group}:email`, emailLimit, windowInSeconds, emailOf),
+  ];
+};
+
+module.exports = { rateLimiter, useStore };
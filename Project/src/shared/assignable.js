@@ -0,0 +1,18 @@
+// Request bodies never reach the models as they are: each write path names its scope and only the fields listed for it are copied
+const defineAssignableFields = (Model, scopes) => {
+  Model.pickAssignable = (scope, values = {}) => {
+    const fields = scopes[scope];
+    if (!fields) {
+      throw new Error(`${Model.name} has no assignable fields for ${scope}`);
+    }
+    const picked = {};
+    for (const field of fields) {
+      if (values[field] !== undefined) {
+        picked[field] = values[field];
+      }
+    }
+    return picked;
+  };
+};
+
+module.exports = { defineAssignableFields };
@@ -0,0 +1,70 @@
+// A small RFC 4180 reader and writer: fields may be quoted, quotes inside them are doubled and quoted fields may contain commas and line breaks
+const parse = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  // Spreadsheets often save the file with a byte order mark
+  const content = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Empty lines, usually the one at the end of the file, are not records
+  return records.filter((values) => values.length > 1 || values[0] !== '');
+};
+
+// The first record is the header, its names become the keys of every row. Empty cells are left out, like a missing field in JSON
+const parseObjects = (text) => {
+  const [header = [], ...records] = parse(text);
+  const names = header.map((name) => name.trim());
+  return records.map((values) => {
+    const row = {};
+    names.forEach((name, index) => {
+      if (values[index]) {
+        row[name] = values[index];
+      }
+    });
+    return row;
+  });
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatRecord = (values) => values.map(formatValue).join(',') + '\r\n';
+
+module.exports = { parse, parseObjects, formatRecord };
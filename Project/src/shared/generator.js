@@ -0,0 +1,7 @@
+const crypto = require('crypto'); //crypto provides random strings that will be used to create the tokens
+
+const randomString = (length) => {
+  return crypto.randomBytes(length).toString('hex').substring(0, length); //When generating the string, it generates double the size, so with substring we half it
+};
+
+module.exports = { randomString };
@@ -0,0 +1,6 @@
+// E-mails are compared without case and surrounding spaces, so User@Mail.com and user@mail.com are the same account
+const normalizeEmail = (email) => {
+  return typeof email === 'string' ? email.trim().toLowerCase() : email;
+};
+
+module.exports = { normalizeEmail };
@@ -0,0 +1,16 @@
+const logger = require('../logging/logger');
+
+const ONE_HOUR_IN_MILLIS = 60 * 60 * 1000;
+
+// A failed run is logged and the next one tries again, an unhandled rejection would stop the server
+const scheduleHourly = (task, failureMessage) => {
+  return setInterval(async () => {
+    try {
+      await task();
+    } catch (err) {
+      logger.error(failureMessage, { error: err.message });
+    }
+  }, ONE_HOUR_IN_MILLIS);
+};
+
+module.exports = { scheduleHourly };
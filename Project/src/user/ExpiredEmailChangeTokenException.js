@@ -0,0 +1,4 @@
+module.exports = function ExpiredEmailChangeTokenException() {
+  this.message = 'email_change_token_expired';
+  this.status = 400;
+};
@@ -0,0 +1,4 @@
+module.exports = function ExpiredTokenException() {
+  this.message = 'account_activation_token_expired';
+  this.status = 400;
+};
@@ -0,0 +1,4 @@
+module.exports = function InvalidEmailChangeTokenException() {
+  this.message = 'email_change_token_invalid';
+  this.status = 400;
+};
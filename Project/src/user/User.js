@@ -1,5 +1,11 @@
 const Sequelize = require('sequelize');
 const sequelize = require('../config/database');
+const Token = require('../auth/Token');
+const Hoax = require('../hoax/Hoax');
+const Follow = require('../follow/Follow');
+const FileAttachment = require('../file/FileAttachment');
+const { normalizeEmail } = require('../shared/normalize');
+const { defineAssignableFields } = require('../shared/assignable');
 
 const Model = Sequelize.Model;
 
@@ -12,6 +18,11 @@ User.init(
     },
     email: {
       type: Sequelize.STRING,
+      unique: true,
+      // Every write path stores the normalized e-mail, so the unique index also covers the case
+      set(value) {
+        this.setDataValue('email', normalizeEmail(value));
+      },
     },
     password: {
       type: Sequelize.STRING,
@@ -23,6 +34,43 @@ User.init(
     activationToken: {
       type: Sequelize.STRING,
     },
+    activationTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
+    image: {
+      type: Sequelize.STRING,
+    },
+    passwordResetToken: {
+      type: Sequelize.STRING,
+    },
+    failedLoginAttempts: {
+      type: Sequelize.INTEGER,
+      defaultValue: 0,
+    },
+    lockedUntil: {
+      type: Sequelize.DATE,
+    },
+    language: {
+      type: Sequelize.STRING,
+      defaultValue: 'en',
+    },
+    role: {
+      type: Sequelize.STRING,
+      defaultValue: 'user',
+    },
+    // The new e-mail is kept apart until it is confirmed, the account keeps working with the current one meanwhile
+    pendingEmail: {
+      type: Sequelize.STRING,
+      set(value) {
+        this.setDataValue('pendingEmail', normalizeEmail(value));
+      },
+    },
+    emailChangeToken: {
+      type: Sequelize.STRING,
+    },
+    emailChangeTokenExpiresAt: {
+      type: Sequelize.DATE,
+    },
   },
   {
     sequelize, // our own sequelize instance
@@ -30,4 +78,26 @@ User.init(
   },
 );
 
+defineAssignableFields(User, {
+  registration: ['username', 'email', 'password', 'language'],
+  profile: ['username', 'image', 'language'],
+});
+
+User.hasMany(Token, { onDelete: 'cascade', foreignKey: 'userId' });
+User.hasMany(Hoax, { onDelete: 'cascade', foreignKey: 'userId' });
+User.hasMany(FileAttachment, { onDelete: 'cascade', foreignKey: 'userId' });
+Hoax.belongsTo(User);
+User.hasMany(Follow, {
+  as: 'followings',
+  onDelete: 'cascade',
+  foreignKey: 'followerId',
+});
+User.hasMany(Follow, {
+  as: 'followers',
+  onDelete: 'cascade',
+  foreignKey: 'followedId',
+});
+Follow.belongsTo(User, { as: 'follower', foreignKey: 'followerId' });
+Follow.belongsTo(User, { as: 'followed', foreignKey: 'followedId' });
+
 module.exports = User;
@@ -1,50 +1,223 @@
 const express = require('express');
+const config = require('config');
 const UserService = require('./UserService');
+const pagination = require('../middleware/pagination');
+const FileService = require('../file/FileService');
+const FollowService = require('../follow/FollowService');
+const ForbiddenException = require('../auth/ForbiddenException');
+const ValidationException = require('../error/ValidationException');
+const { rateLimiter } = require('../ratelimit/rateLimiter');
+const {
+  usernameValidation,
+  emailValidation,
+  newEmailValidation,
+  passwordValidation,
+  languageValidation,
+  registrationValidation,
+} = require('./UserValidation');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 
 router.post(
   '/api/1.0/users',
-  check('username')
-    .notEmpty()
-    .withMessage('username_null')
-    // bail means that if the previous condition (notEmpty) is not met, the bail will act as a return and the following condition will not be checked
-    .bail()
-    .isLength({ min: 4, max: 32 })
-    .withMessage('username_size'),
-  check('email')
-    .notEmpty()
-    .withMessage('email_null')
-    .bail()
-    .isEmail()
-    .withMessage('email_invalid')
+  rateLimiter('registration'),
+  registrationValidation(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      // The resolved language is the supported one, es for an es-ES request
+      await UserService.save(req.body, req.i18n.resolvedLanguage);
+      return res.send({ message: req.t('user_create_success') });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.post('/api/1.0/users/token/:token', async (req, res, next) => {
+  const token = req.params.token;
+  try {
+    await UserService.activate(token);
+    return res.send({ message: req.t('account_activation_success') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/api/1.0/users/activation',
+  rateLimiter('mailRequest'),
+  emailValidation(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await UserService.resendActivation(req.body.email);
+      return res.send({ message: req.t('activation_email_sent') });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get('/api/1.0/users', pagination, async (req, res, next) => {
+  const { page, size } = req.pagination;
+  try {
+    const users = await UserService.getUsers(page, size, req.authenticatedUser);
+    return res.send(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/api/1.0/users/:id', async (req, res, next) => {
+  try {
+    const user = await UserService.getUser(req.params.id);
+    const counts = await FollowService.getCounts(user.id);
+    return res.send({ ...user.get({ plain: true }), ...counts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put(
+  '/api/1.0/users/:id',
+  usernameValidation(),
+  check('image')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('profile_image_invalid')
     .bail()
-    .custom(async (email) => {
-      const user = await UserService.findByEmail(email);
-      if (user) {
-        throw new Error('email_in_use');
+    .custom(async (imageAsBase64String) => {
+      const buffer = Buffer.from(imageAsBase64String, 'base64');
+      if (!FileService.isLessThanProfileImageLimit(buffer)) {
+        throw new Error('profile_image_size');
       }
+      const supportedType = await FileService.isSupportedImageType(buffer);
+      if (!supportedType) {
+        throw new Error('unsupported_image_file');
+      }
+      return true;
     }),
-  check('password')
-    .notEmpty()
-    .withMessage('password_null')
-    .bail()
-    .isLength({ min: 6 })
-    .withMessage('password_size')
-    .bail()
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
-    .withMessage('password_pattern'),
-  async (req, res) => {
+  languageValidation(),
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+    // The id from the url is a string, so it is compared without type checking
+    if (!authenticatedUser || authenticatedUser.id != req.params.id) {
+      return next(new ForbiddenException('unauthorized_user_update'));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      const user = await UserService.updateUser(req.params.id, req.body);
+      return res.send(user);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.post(
+  '/api/1.0/users/:id/email',
+  rateLimiter('mailRequest'),
+  newEmailValidation(),
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+    if (!authenticatedUser || authenticatedUser.id != req.params.id) {
+      return next(new ForbiddenException('unauthorized_email_change'));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await UserService.requestEmailChange(req.params.id, req.body.email);
+      return res.send({ message: req.t('email_change_request_success') });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.post('/api/1.0/users/email/:token', async (req, res, next) => {
+  try {
+    await UserService.confirmEmailChange(req.params.token);
+    return res.send({ message: req.t('email_change_success') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Opened from the link of the confirmation e-mail, failures are answered like the POST above
+router.get('/api/1.0/users/email/:token', async (req, res, next) => {
+  try {
+    await UserService.confirmEmailChange(req.params.token);
+    return res.redirect(`${config.get('mail.clientBaseUrl')}/login`);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/api/1.0/users/:id', async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+  if (!authenticatedUser || authenticatedUser.id != req.params.id) {
+    return next(new ForbiddenException('unauthorized_user_delete'));
+  }
+  try {
+    await UserService.deleteUser(req.params.id);
+    return res.send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post(
+  '/api/1.0/user/password',
+  rateLimiter('mailRequest'),
+  emailValidation(),
+  async (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      const validationErrors = {};
-      errors
-        .array()
-        .forEach((error) => (validationErrors[error.path] = req.t(error.msg))); // error.param is the key, and the message will be error.msg
-      return res.status(400).send({ validationErrors: validationErrors });
-    }
-    await UserService.save(req.body);
-    return res.send({ message: req.t('user_create_success') });
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await UserService.passwordResetRequest(req.body.email);
+      return res.send({ message: req.t('password_reset_request_success') });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.put(
+  '/api/1.0/user/password',
+  passwordValidation(),
+  async (req, res, next) => {
+    try {
+      const passwordResetToken = req.body.passwordResetToken;
+      // Only a string is looked up, an array would be turned into an IN query and test many tokens at once
+      const user =
+        typeof passwordResetToken === 'string' &&
+        (await UserService.findByPasswordResetToken(passwordResetToken));
+      if (!user) {
+        throw new ForbiddenException('unauthorized_password_reset');
+      }
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationException(errors.array());
+      }
+      await UserService.updatePassword(req.body);
+      return res.send({ message: req.t('password_reset_success') });
+    } catch (err) {
+      next(err);
+    }
   },
 );
 
@@ -1,27 +1,315 @@
 const User = require('./User');
+const sequelize = require('../config/database');
+const Sequelize = require('sequelize');
 const bcrypt = require('bcrypt');
-const crypto = require('crypto'); //crypto provides random strings that will be used to create the activationToken
+const config = require('config');
 const EmailService = require('../email/EmailService');
+const EmailException = require('../email/EmailException');
+const FileService = require('../file/FileService');
+const TokenService = require('../auth/TokenService');
+const metrics = require('../metrics/metrics');
+const { events, publish } = require('../events/eventBus');
+const { randomString } = require('../shared/generator');
+const { normalizeEmail } = require('../shared/normalize');
+const ValidationException = require('../error/ValidationException');
+const InvalidTokenException = require('./InvalidTokenException');
+const ExpiredTokenException = require('./ExpiredTokenException');
+const UserNotFoundException = require('./UserNotFoundException');
+const InvalidEmailChangeTokenException = require('./InvalidEmailChangeTokenException');
+const ExpiredEmailChangeTokenException = require('./ExpiredEmailChangeTokenException');
 
-const generateToken = (length) => {
-  return crypto.randomBytes(length).toString('hex').substring(0, length); //When generating the string, it generates double the size, so with substring we half it
+const activationConfig = config.get('activation');
+const emailChangeConfig = config.get('emailChange');
+
+// The activation token is only valid for the amount of hours set in the config files
+const activationTokenExpiry = () => {
+  return new Date(
+    Date.now() + activationConfig.tokenExpiryInHours * 60 * 60 * 1000,
+  );
+};
+
+const emailChangeTokenExpiry = () => {
+  return new Date(
+    Date.now() + emailChangeConfig.tokenExpiryInHours * 60 * 60 * 1000,
+  );
 };
 
-const save = async (body) => {
-  const { username, email, password } = body;
-  const hash = await bcrypt.hash(password, 10);
+const emailInUse = () =>
+  new ValidationException([{ path: 'email', msg: 'email_in_use' }]);
+
+// Two requests with the same e-mail can both pass the validation, the unique index decides and the loser gets the same error as the validation
+const createUser = async (values, options) => {
+  try {
+    return await User.create(values, options);
+  } catch (err) {
+    if (err instanceof Sequelize.UniqueConstraintError) {
+      throw emailInUse();
+    }
+    throw err;
+  }
+};
+
+// Imported users can skip the activation mail, those accounts are created active since nobody would receive the token
+const save = async (body, language, options = {}) => {
+  const values = User.pickAssignable('registration', { ...body, language });
+  const hash = await bcrypt.hash(values.password, 10);
   const user = {
-    username,
-    email,
+    ...values,
     password: hash,
-    activationToken: generateToken(16),
+    activationToken: randomString(16),
+    activationTokenExpiresAt: activationTokenExpiry(),
   };
-  await User.create(user);
-  await EmailService.sendAccountActivation(email, user.activationToken);
+  if (options.skipActivationEmail) {
+    const activeUser = await createUser({
+      ...user,
+      inactive: false,
+      activationToken: null,
+      activationTokenExpiresAt: null,
+    });
+    metrics.userRegistrationsTotal.inc();
+    return activeUser;
+  }
+  // If the activation mail cannot be sent the user is not kept, otherwise the e-mail would stay blocked by an account that can never be activated
+  const transaction = await sequelize.transaction();
+  let savedUser;
+  try {
+    savedUser = await createUser(user, { transaction });
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  }
+  try {
+    await EmailService.sendAccountActivation(
+      savedUser.email,
+      savedUser.activationToken,
+      savedUser.language,
+    );
+    await transaction.commit();
+  } catch (err) {
+    await transaction.rollback();
+    throw new EmailException();
+  }
+  metrics.userRegistrationsTotal.inc();
+  return savedUser;
 };
 
 const findByEmail = async (email) => {
-  return await User.findOne({ where: { email: email } });
+  return await User.findOne({ where: { email: normalizeEmail(email) } });
+};
+
+const activate = async (token) => {
+  const user = await User.findOne({ where: { activationToken: token } });
+  if (!user) {
+    throw new InvalidTokenException();
+  }
+  if (user.activationTokenExpiresAt < new Date()) {
+    throw new ExpiredTokenException();
+  }
+  user.inactive = false;
+  user.activationToken = null;
+  user.activationTokenExpiresAt = null;
+  await user.save();
+  metrics.userActivationsTotal.inc();
+  publish(events.ACCOUNT_ACTIVATED, { userId: user.id });
 };
 
-module.exports = { save, findByEmail };
+// Unknown or already active accounts are ignored silently, so the response does not reveal which e-mails are registered
+const resendActivation = async (email) => {
+  const user = await findByEmail(email);
+  if (!user || !user.inactive) {
+    return;
+  }
+  user.activationToken = randomString(16);
+  user.activationTokenExpiresAt = activationTokenExpiry();
+  await user.save();
+  try {
+    await EmailService.sendAccountActivation(
+      email,
+      user.activationToken,
+      user.language,
+    );
+  } catch (err) {
+    throw new EmailException();
+  }
+};
+
+// Only the public fields of active users are listed. The authenticated user is left out of the list
+const getUsers = async (page, size, authenticatedUser) => {
+  const usersWithCount = await User.findAndCountAll({
+    where: {
+      inactive: false,
+      id: {
+        [Sequelize.Op.not]: authenticatedUser ? authenticatedUser.id : 0,
+      },
+    },
+    attributes: ['id', 'username', 'image'],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: usersWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(usersWithCount.count / size),
+  };
+};
+
+const getUser = async (id) => {
+  const user = await User.findOne({
+    where: { id: id, inactive: false },
+    attributes: ['id', 'username', 'image'],
+  });
+  if (!user) {
+    throw new UserNotFoundException();
+  }
+  return user;
+};
+
+const updateUser = async (id, updatedBody) => {
+  const values = User.pickAssignable('profile', updatedBody);
+  const user = await User.findOne({ where: { id: id } });
+  user.username = values.username;
+  if (values.language) {
+    user.language = values.language;
+  }
+  if (values.image) {
+    // The previous image is replaced, so it is removed from the upload folder
+    if (user.image) {
+      await FileService.deleteProfileImage(user.image);
+    }
+    user.image = await FileService.saveProfileImage(values.image);
+  }
+  await user.save();
+  return {
+    id: user.id,
+    username: user.username,
+    image: user.image,
+  };
+};
+
+// Rows are removed by the cascades on the associations, the stored files have to be removed by hand
+const deleteUser = async (id) => {
+  const user = await User.findOne({ where: { id: id } });
+  if (user.image) {
+    await FileService.deleteProfileImage(user.image);
+  }
+  await FileService.deleteUserAttachments(user.id);
+  await user.destroy();
+};
+
+// Unknown e-mails are ignored silently, so the response does not reveal which e-mails are registered
+const passwordResetRequest = async (email) => {
+  const user = await findByEmail(email);
+  if (!user) {
+    return;
+  }
+  user.passwordResetToken = randomString(16);
+  await user.save();
+  try {
+    await EmailService.sendPasswordReset(
+      email,
+      user.passwordResetToken,
+      user.language,
+    );
+  } catch (err) {
+    throw new EmailException();
+  }
+};
+
+const findByPasswordResetToken = async (token) => {
+  return await User.findOne({ where: { passwordResetToken: token } });
+};
+
+// Receiving the reset mail proves the ownership of the e-mail, so the account is activated as well. Every session is closed
+const updatePassword = async (updateRequest) => {
+  const user = await findByPasswordResetToken(updateRequest.passwordResetToken);
+  user.password = await bcrypt.hash(updateRequest.password, 10);
+  user.passwordResetToken = null;
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = null;
+  user.inactive = false;
+  user.activationToken = null;
+  user.activationTokenExpiresAt = null;
+  await user.save();
+  // Published before the sessions are cleared, so the open sockets receive it before they are closed
+  publish(events.PASSWORD_CHANGED, { userId: user.id });
+  await TokenService.clearTokens(user.id);
+};
+
+// The current e-mail stays in use until the new one is confirmed. A new request replaces the pending one and its token
+const requestEmailChange = async (id, email) => {
+  const user = await User.findOne({ where: { id: id } });
+  user.pendingEmail = email;
+  user.emailChangeToken = randomString(16);
+  user.emailChangeTokenExpiresAt = emailChangeTokenExpiry();
+  const transaction = await sequelize.transaction();
+  try {
+    await user.save({ transaction });
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  }
+  try {
+    await EmailService.sendEmailChange(
+      user.pendingEmail,
+      user.emailChangeToken,
+      user.language,
+    );
+    await EmailService.sendEmailChangeNotice(user.email, user.language);
+  } catch (err) {
+    await transaction.rollback();
+    throw new EmailException();
+  }
+  await transaction.commit();
+};
+
+const clearEmailChange = (user) => {
+  user.pendingEmail = null;
+  user.emailChangeToken = null;
+  user.emailChangeTokenExpiresAt = null;
+};
+
+// The e-mail may have been registered by someone else since the request, so the uniqueness is checked again.
+// A reset token sent to the previous address is dropped, that address does not belong to the account anymore
+const confirmEmailChange = async (token) => {
+  const user = await User.findOne({ where: { emailChangeToken: token } });
+  if (!user) {
+    throw new InvalidEmailChangeTokenException();
+  }
+  if (user.emailChangeTokenExpiresAt < new Date()) {
+    throw new ExpiredEmailChangeTokenException();
+  }
+  const owner = await findByEmail(user.pendingEmail);
+  if (owner) {
+    clearEmailChange(user);
+    await user.save();
+    throw emailInUse();
+  }
+  user.email = user.pendingEmail;
+  user.passwordResetToken = null;
+  clearEmailChange(user);
+  try {
+    await user.save();
+  } catch (err) {
+    if (err instanceof Sequelize.UniqueConstraintError) {
+      throw emailInUse();
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  save,
+  findByEmail,
+  activate,
+  resendActivation,
+  getUsers,
+  getUser,
+  updateUser,
+  deleteUser,
+  passwordResetRequest,
+  findByPasswordResetToken,
+  updatePassword,
+  requestEmailChange,
+  confirmEmailChange,
+};
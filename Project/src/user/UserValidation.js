@@ -0,0 +1,88 @@
+const { check } = require('express-validator');
+const UserService = require('./UserService');
+const LanguageService = require('../language/LanguageService');
+const { normalizeEmail } = require('../shared/normalize');
+
+// The same rules are used by several routes and by the bulk import, so each chain is built in one place
+const usernameValidation = () =>
+  check('username')
+    .notEmpty()
+    .withMessage('username_null')
+    // bail means that if the previous condition (notEmpty) is not met, the bail will act as a return and the following condition will not be checked
+    .bail()
+    // The standard validators check each item of an array, so arrays and objects are rejected first
+    .isString()
+    .withMessage('username_invalid')
+    .bail()
+    .isLength({ min: 4, max: 32 })
+    .withMessage('username_size');
+
+// The e-mail is normalized before the checks, so the uniqueness is checked on the value that is stored
+const emailValidation = () =>
+  check('email')
+    .customSanitizer(normalizeEmail)
+    .notEmpty()
+    .withMessage('email_null')
+    .bail()
+    .isString()
+    .withMessage('email_invalid')
+    .bail()
+    .isEmail()
+    .withMessage('email_invalid');
+
+const newEmailValidation = () =>
+  check('email')
+    .customSanitizer(normalizeEmail)
+    .notEmpty()
+    .withMessage('email_null')
+    .bail()
+    .isString()
+    .withMessage('email_invalid')
+    .bail()
+    .isEmail()
+    .withMessage('email_invalid')
+    .bail()
+    .custom(async (email) => {
+      const user = await UserService.findByEmail(email);
+      if (user) {
+        throw new Error('email_in_use');
+      }
+    });
+
+const passwordValidation = () =>
+  check('password')
+    .notEmpty()
+    .withMessage('password_null')
+    .bail()
+    .isString()
+    .withMessage('password_invalid')
+    .bail()
+    .isLength({ min: 6 })
+    .withMessage('password_size')
+    .bail()
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).*$/)
+    .withMessage('password_pattern');
+
+const languageValidation = () =>
+  check('language')
+    .optional()
+    .isString()
+    .withMessage('language_unsupported')
+    .bail()
+    .isIn(LanguageService.getSupportedLanguages())
+    .withMessage('language_unsupported');
+
+const registrationValidation = () => [
+  usernameValidation(),
+  newEmailValidation(),
+  passwordValidation(),
+];
+
+module.exports = {
+  usernameValidation,
+  emailValidation,
+  newEmailValidation,
+  passwordValidation,
+  languageValidation,
+  registrationValidation,
+};
@@ -0,0 +1,81 @@
+// Usage: npm run users -- import <file.csv | file.json> [--skip-activation-email] [--language <language>]
+//        npm run users -- export <file.csv | file.json>
+// Runs the same validation and export as the admin endpoints, the format comes from the extension of the file
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const migrator = require('./src/config/migrator');
+const i18next = require('./src/config/i18n');
+const UserTransferService = require('./src/admin/UserTransferService');
+
+const USAGE =
+  'Usage: npm run users -- import <file.csv | file.json> [--skip-activation-email] [--language <language>]\n' +
+  '       npm run users -- export <file.csv | file.json>';
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const importFile = async (file, format, args) => {
+  const content = fs.readFileSync(file, 'utf8');
+  const rows = UserTransferService.readRows(
+    format === 'json' ? JSON.parse(content) : content,
+    format,
+  );
+  const result = await UserTransferService.importUsers(rows, {
+    skipActivationEmail: args.includes('--skip-activation-email'),
+  });
+  const language = optionValue(args, '--language') || 'en';
+  await i18next.loadLanguages(language);
+  const { errors } = UserTransferService.localize(
+    result,
+    i18next.getFixedT(language),
+  );
+  for (const error of errors) {
+    const details = error.validationErrors
+      ? Object.entries(error.validationErrors)
+          .map(([field, message]) => `${field}: ${message}`)
+          .join(', ')
+      : error.message;
+    console.error(`Row ${error.row}: ${details}`);
+  }
+  console.log(
+    `${result.created} of ${result.total} users imported, ${result.failed} failed`,
+  );
+  if (result.failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+const exportFile = async (file, format) => {
+  await pipeline(
+    Readable.from(UserTransferService.exportUsers(format)),
+    fs.createWriteStream(file),
+  );
+  console.log(`Users exported to ${file}`);
+};
+
+const run = async ([command, file, ...args]) => {
+  const format = file && path.extname(file).substring(1);
+  if (
+    !['import', 'export'].includes(command) ||
+    !UserTransferService.FORMATS.includes(format)
+  ) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  await migrator.up();
+  if (command === 'import') {
+    await importFile(file, format, args);
+  } else {
+    await exportFile(file, format);
+  }
+};
+
+run(process.argv.slice(2)).catch((err) => {
+  console.error(`The ${process.argv[2]} failed: ${err.message}`);
+  process.exitCode = 1;
+});